@@ -0,0 +1,119 @@
+// ASSUMPTION OVERRIDES AND SOURCES
+// Deep-merges caller overrides into ModelParams by dotted path (e.g. pricing.injectablesASP)
+// and tracks whether each assumption came from the data, an override or a default
+
+const SOURCES = ['data', 'override', 'default'];
+
+// Paths that must stay within sensible bounds when overridden
+const OVERRIDE_RULES = {
+  'discount.wacc': { min: 0, max: 1, exclusive: true },
+  'tax.rate': { min: 0, max: 1 },
+  'patients.churnRate': { min: 0, max: 1 },
+  'workingCapital.nwcPercent': { min: 0, max: 1 },
+  'exit.exitMultipleEBITDA': { min: 0, exclusive: true },
+  'exit.exitYear': { min: 1, integer: true }
+};
+
+// Assumptions worth calling out in reports when still on defaults
+const KEY_ASSUMPTIONS = [
+  'pricing.injectablesASP',
+  'patients.cac',
+  'patients.activePatients',
+  'costs.staffCostPercent',
+  'discount.wacc',
+  'exit.exitMultipleEBITDA'
+];
+
+// Leaf paths of a params object: { 'pricing.injectablesASP': 575, ... }
+function flattenPaths(object, prefix = '') {
+  const paths = {};
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(paths, flattenPaths(value, path));
+    } else {
+      paths[path] = value;
+    }
+  });
+  return paths;
+}
+
+// Accepts { 'discount.wacc': 0.11 } and/or nested { pricing: { injectablesASP: 600 } }
+function normalizeOverrides(overrides = {}) {
+  const normalized = {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(flattenPaths(value, key)).forEach(([path, leaf]) => { normalized[path] = leaf; });
+    } else {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+}
+
+function checkOverride(path, value, current) {
+  if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+    throw new Error(`Override ${path} must be a number (got ${JSON.stringify(value)})`);
+  }
+  if (value === null && current !== null) {
+    throw new Error(`Override ${path} cannot be null`);
+  }
+
+  const rule = OVERRIDE_RULES[path];
+  if (!rule || value === null) return;
+  const belowMin = rule.exclusive ? value <= rule.min : value < rule.min;
+  const aboveMax = rule.max !== undefined && (rule.exclusive ? value >= rule.max : value > rule.max);
+  if (belowMin || aboveMax || (rule.integer && !Number.isInteger(value))) {
+    const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `above ${rule.min}`;
+    throw new Error(`Override ${path} must be ${rule.integer ? 'an integer ' : ''}${range} (got ${value})`);
+  }
+}
+
+// Checks overrides against the known leaf values ({ path: value }) without applying them;
+// returns the normalized { path: value } map
+function validateOverrides(overrides, known) {
+  const normalized = normalizeOverrides(overrides);
+  Object.entries(normalized).forEach(([path, value]) => {
+    if (!(path in known)) {
+      // Suggest the paths in the same section, or the sections themselves
+      const section = path.split('.')[0];
+      const siblings = Object.keys(known).filter(candidate => candidate.startsWith(`${section}.`));
+      const hint = siblings.length > 0 ? siblings : [...new Set(Object.keys(known).map(candidate => candidate.split('.')[0]))];
+      throw new Error(`Unknown assumption "${path}" - expected one of: ${hint.join(', ')}`);
+    }
+    checkOverride(path, value, known[path]);
+  });
+  return normalized;
+}
+
+// Mutates params and sources; returns the applied overrides with the values they replaced
+function applyOverrides(params, overrides, sources = {}) {
+  const normalized = validateOverrides(overrides, flattenPaths(params));
+
+  return Object.entries(normalized).map(([path, value]) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], params);
+    const previous = parent[keys[keys.length - 1]];
+    parent[keys[keys.length - 1]] = value;
+
+    const applied = { path, value, previous, previousSource: sources[path] || 'default' };
+    sources[path] = 'override';
+    return applied;
+  });
+}
+
+function summarizeSources(sources) {
+  const counts = Object.fromEntries(SOURCES.map(source => [source, 0]));
+  Object.values(sources).forEach(source => { counts[source] += 1; });
+  return counts;
+}
+
+module.exports = {
+  applyOverrides,
+  validateOverrides,
+  normalizeOverrides,
+  flattenPaths,
+  summarizeSources,
+  KEY_ASSUMPTIONS,
+  OVERRIDE_RULES
+};
@@ -0,0 +1,64 @@
+// BATCH BEHAVIOR CHECKS
+// Pipeline ranking, per-row failures and source row numbers for batch files:
+// node batch_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTargets, runBatch } = require('./batch_valuation');
+const { createCheckRun } = require('./behavior_checks');
+
+// loadTargets reads from disk; write the fixture to a scratch directory and clean up
+function loadFrom(fileName, content) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-checks-'));
+  try {
+    const file = path.join(directory, fileName);
+    fs.writeFileSync(file, content);
+    return loadTargets(file);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const PIPELINE = [
+  'name,input',
+  'Dallas,"Dallas medispa, $2M revenue, $600K EBITDA"',
+  '',
+  'Miami,"Miami medispa, $4.2M revenue, $1.1M EBITDA"',
+  'Blank,"medispa with great reviews"'
+].join('\n');
+
+const { check, finish } = createCheckRun("📋 BATCH BEHAVIOR CHECKS", 'BATCH');
+
+check('CSV rows keep their source line numbers across blank lines', () => {
+  const targets = loadFrom('pipeline.csv', PIPELINE);
+  assert.deepStrictEqual(targets.map(target => [target.name, target.row]), [['Dallas', 2], ['Miami', 4], ['Blank', 5]]);
+});
+
+check('Targets are ranked by the chosen field, largest first', () => {
+  const batch = runBatch(loadFrom('pipeline.csv', PIPELINE));
+  assert.deepStrictEqual(batch.results.map(result => [result.rank, result.name]), [[1, 'Miami'], [2, 'Dallas']]);
+  const byMargin = runBatch(loadFrom('pipeline.csv', PIPELINE), { rankBy: 'ebitdaMargin' });
+  assert.strictEqual(byMargin.results[0].name, 'Dallas');
+  assert.throws(() => runBatch([], { rankBy: 'revenue' }), /Unknown rank field/);
+});
+
+check('A bad row is recorded as a failure and the rest of the batch is still valued', () => {
+  const targets = loadFrom('pipeline.jsonl', [
+    '{"name": "Dallas", "input": "Dallas medispa, $2M revenue, $500K EBITDA"}',
+    '{"name": "Broken", "input": ',
+    '{"name": "Miami", "input": "Miami medispa, $4.2M revenue, $1.1M EBITDA"}'
+  ].join('\n'));
+  const batch = runBatch(targets);
+  assert.strictEqual(batch.total, 3);
+  assert.strictEqual(batch.valued, 2);
+  assert.deepStrictEqual(batch.failures.map(failure => failure.row), [2]);
+});
+
+check('A target without revenue fails instead of ranking on defaults', () => {
+  const batch = runBatch(loadFrom('pipeline.csv', PIPELINE));
+  assert.deepStrictEqual(batch.failures, [{ row: 5, name: 'Blank', error: 'No revenue found - target not valued' }]);
+});
+
+finish();
@@ -0,0 +1,227 @@
+// BATCH VALUATION - QUARTERLY PIPELINE SCREEN
+// Values every target in a JSONL or CSV file and ranks them side by side;
+// a bad row is recorded as a failure instead of stopping the batch
+
+const fs = require('fs');
+const path = require('path');
+const { processFinancialData, parseAmount, splitCsvLine } = require('./data_processor');
+const { markdownTable, escapeCsv } = require('./report_formats');
+
+// CSV columns kept as text; everything else is read as an amount
+const TEXT_COLUMNS = ['name', 'input', 'dataType', 'location', 'competition', 'marketMaturity'];
+
+const RANK_FIELDS = ['enterpriseValue', 'equityValue', 'enhancedMultiple', 'ebitdaMargin'];
+
+// JSONL: { name, input, dataType?, adjustments?, nwcPeg?, overrides? } per line, or a bare
+// structured record. CSV: one target per row, with an `input` column or data columns.
+function loadTargets(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.jsonl' || extension === '.ndjson') return parseJsonlTargets(content);
+  if (extension === '.csv') return parseCsvTargets(content);
+  throw new Error(`Unsupported batch file "${filePath}" (expected .jsonl or .csv)`);
+}
+
+function parseJsonlTargets(content) {
+  return content.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+    .filter(({ line }) => line !== '' && !line.startsWith('//'))
+    .map(({ line, row }) => {
+      try {
+        return toTarget(JSON.parse(line), row);
+      } catch (error) {
+        return { row, name: `line ${row}`, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+function parseCsvTargets(content) {
+  // Number rows against the source file before blank lines are dropped
+  const lines = content.split(/\r?\n/)
+    .map((line, index) => ({ line, row: index + 1 }))
+    .filter(({ line }) => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = splitCsvLine(lines[0].line);
+
+  return lines.slice(1).map(({ line, row }) => {
+    const cells = splitCsvLine(line);
+    const record = {};
+    header.forEach((column, i) => {
+      const cell = cells[i];
+      if (cell === undefined || cell === '') return;
+      const amount = TEXT_COLUMNS.includes(column) ? null : parseAmount(cell);
+      record[column] = amount ? amount.value : cell;
+    });
+    return toTarget(record, row);
+  });
+}
+
+function toTarget(record, row) {
+  if (typeof record.input === 'string') {
+    return {
+      row,
+      name: record.name || `row ${row}`,
+      input: record.input,
+      dataType: record.dataType || 'text',
+      adjustments: record.adjustments,
+      nwcPeg: record.nwcPeg,
+      overrides: record.overrides
+    };
+  }
+  const { name, adjustments, nwcPeg, overrides, ...data } = record;
+  return { row, name: name || `row ${row}`, input: data, dataType: 'structured', adjustments, nwcPeg, overrides };
+}
+
+function runBatch(targets, options = {}) {
+  const rankBy = options.rankBy || 'enterpriseValue';
+  if (!RANK_FIELDS.includes(rankBy)) {
+    throw new Error(`Unknown rank field "${rankBy}" (expected ${RANK_FIELDS.join(', ')})`);
+  }
+
+  const results = [];
+  const failures = [];
+
+  targets.forEach(target => {
+    if (target.error) {
+      failures.push({ row: target.row, name: target.name, error: target.error });
+      return;
+    }
+
+    let outcome;
+    try {
+      outcome = processFinancialData(target.input, {
+        dataType: target.dataType,
+        adjustments: target.adjustments,
+        nwcPeg: target.nwcPeg,
+        overrides: target.overrides,
+        logger: options.logger || 'silent',
+        logLevel: options.logLevel
+      });
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    if (!outcome.success) {
+      failures.push({ row: target.row, name: target.name, error: outcome.error });
+      return;
+    }
+
+    // Default-revenue valuations would rank alongside real ones, so don't rank them
+    if (!outcome.parsedData.revenue.total) {
+      failures.push({ row: target.row, name: target.name, error: 'No revenue found - target not valued' });
+      return;
+    }
+
+    const raw = outcome.rawResults;
+    results.push({
+      name: target.name,
+      row: target.row,
+      location: raw.location,
+      marketTier: raw.marketTier,
+      revenue: raw.totalRevenue,
+      ebitda: raw.estimatedEBITDA,
+      ebitdaMargin: raw.totalRevenue ? raw.estimatedEBITDA / raw.totalRevenue : null,
+      enhancedMultiple: raw.enhancedMultiple,
+      enterpriseValue: raw.enterpriseValue,
+      equityValue: raw.equityValue,
+      validationIssues: outcome.validationIssues.length
+    });
+  });
+
+  results.sort((a, b) => (b[rankBy] ?? -Infinity) - (a[rankBy] ?? -Infinity));
+  results.forEach((result, index) => { result.rank = index + 1; });
+
+  return {
+    rankBy,
+    total: targets.length,
+    valued: results.length,
+    failed: failures.length,
+    results,
+    failures
+  };
+}
+
+const TABLE_COLUMNS = [
+  { key: 'rank', label: 'Rank' },
+  { key: 'name', label: 'Target' },
+  { key: 'marketTier', label: 'Tier' },
+  { key: 'enterpriseValue', label: 'EV', money: true },
+  { key: 'enhancedMultiple', label: 'Multiple', multiple: true },
+  { key: 'ebitdaMargin', label: 'Margin', percent: true },
+  { key: 'validationIssues', label: 'Issues' }
+];
+
+function formatBatch(batch, format = 'text') {
+  const currency = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+  const display = (column, value) => {
+    if (value === null || value === undefined) return 'n/a';
+    if (column.money) return currency(value);
+    if (column.multiple) return `${value.toFixed(2)}x`;
+    if (column.percent) return `${(value * 100).toFixed(1)}%`;
+    return String(value);
+  };
+
+  if (format === 'json') return JSON.stringify(batch, null, 2);
+
+  if (format === 'csv') {
+    const keys = ['rank', 'name', 'location', 'marketTier', 'revenue', 'ebitda', 'ebitdaMargin',
+                  'enhancedMultiple', 'enterpriseValue', 'equityValue', 'validationIssues'];
+    return [keys.join(','), ...batch.results.map(result => keys.map(key => {
+      const value = result[key];
+      return escapeCsv(typeof value === 'number' ? Number(value.toFixed(4)) : value);
+    }).join(','))].join('\n');
+  }
+
+  if (format === 'markdown') {
+    const sections = [
+      `## Pipeline Ranking (${batch.valued} of ${batch.total} valued, by ${batch.rankBy})`,
+      markdownTable(TABLE_COLUMNS.map(column => column.label),
+        batch.results.map(result => TABLE_COLUMNS.map(column => display(column, result[column.key]))))
+    ];
+    if (batch.failures.length > 0) {
+      sections.push('## Failed Targets', markdownTable(['Row', 'Target', 'Error'],
+        batch.failures.map(failure => [failure.row, failure.name, failure.error])));
+    }
+    return sections.join('\n\n');
+  }
+
+  const widths = [6, 34, 7, 15, 10, 9, 6];
+  const lines = [
+    `📋 PIPELINE RANKING - ${batch.valued}/${batch.total} valued (by ${batch.rankBy})`,
+    TABLE_COLUMNS.map((column, i) => column.label.padEnd(widths[i])).join('')
+  ];
+  batch.results.forEach(result => {
+    lines.push(TABLE_COLUMNS.map((column, i) =>
+      display(column, result[column.key]).slice(0, widths[i] - 1).padEnd(widths[i])).join(''));
+  });
+  if (batch.failures.length > 0) {
+    lines.push('', `❌ FAILED (${batch.failures.length}):`);
+    batch.failures.forEach(failure => lines.push(`• Row ${failure.row} ${failure.name}: ${failure.error}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadTargets,
+  runBatch,
+  formatBatch,
+  RANK_FIELDS
+};
+
+// CLI: node batch_valuation.js targets.jsonl [text|csv|markdown|json] [rankBy]
+if (require.main === module) {
+  const [file, format = 'text', rankBy] = process.argv.slice(2);
+  if (!file) {
+    console.log('Usage: node batch_valuation.js targets.jsonl|targets.csv [text|csv|markdown|json] [rankBy]');
+    process.exit(1);
+  }
+
+  const batch = runBatch(loadTargets(file), { rankBy });
+  console.log(formatBatch(batch, format));
+  process.exit(batch.valued === 0 && batch.failed > 0 ? 1 : 0);
+}
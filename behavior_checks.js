@@ -0,0 +1,50 @@
+// BEHAVIOR CHECK HARNESS
+// Shared by the *_behavior_test.js scripts: named checks, a pass/fail footer and the
+// process exit code (non-zero when any check fails)
+
+const assert = require('assert');
+
+function createCheckRun(title, subject) {
+  let failures = 0;
+  console.log(title);
+  console.log("=".repeat(60));
+
+  function check(name, fn) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  function finish() {
+    console.log("\n" + "=".repeat(60));
+    console.log(failures === 0 ? `🎉 ALL ${subject} CHECKS PASSED` : `⚠️ ${failures} ${subject} CHECK(S) FAILED`);
+    if (failures > 0) process.exitCode = 1;
+  }
+
+  return { check, finish };
+}
+
+function close(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+// Modules that print their own reports; keeps a script's output to the checks
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  createCheckRun,
+  close,
+  quietly
+};
@@ -0,0 +1,58 @@
+// BRIDGE BEHAVIOR CHECKS
+// EBITDA normalization and the bridges from it to the headline value:
+// node bridge_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { processFinancialData } = require('./data_processor');
+const { buildEbitdaBridge } = require('./ebitda_normalization');
+const { buildEquityBridge } = require('./equity_bridge');
+const { createCheckRun, close } = require('./behavior_checks');
+
+const { check, finish } = createCheckRun("🌉 BRIDGE BEHAVIOR CHECKS", 'BRIDGE');
+
+check('EBITDA bridge adds back and deducts by type', () => {
+  const bridge = buildEbitdaBridge(500000, [
+    { type: 'owner_compensation', actual: 300000, marketRate: 150000, source: 'payroll' },
+    { type: 'one_time_expense', amount: 20000 },
+    { type: 'non_recurring_revenue', amount: 30000, source: 'GL' }
+  ]);
+  assert.strictEqual(bridge.normalizedEbitda, 640000);
+  assert.strictEqual(bridge.adjustments.filter(adj => adj.unsourced).length, 1);
+  assert.strictEqual(bridge.steps[bridge.steps.length - 1].value, 640000);
+  assert.throws(() => buildEbitdaBridge(500000, [{ type: 'synergies', amount: 1 }]), /Unknown EBITDA adjustment type/);
+});
+
+check('Headline EV is normalized EBITDA x enhanced multiple', () => {
+  const result = processFinancialData('Dallas medispa, $2M revenue, $500K EBITDA', {
+    logger: 'silent',
+    adjustments: [{ type: 'one_time_expense', amount: 50000, source: 'legal invoice' }]
+  });
+  assert.ok(result.success, result.error);
+  const results = result.rawResults;
+  assert.strictEqual(results.ebitdaBridge.normalizedEbitda, 550000);
+  close(results.enterpriseValue, 550000 * results.enhancedMultiple, 1e-6, 'EV');
+});
+
+check('Equity bridge: net debt, deferred revenue and NWC true-up', () => {
+  const bridge = buildEquityBridge(5000000, {
+    longTermDebt: 1000000,
+    capitalLeases: 0,
+    cash: 300000,
+    prepaidPackages: 100000,
+    currentAssets: 600000,
+    currentLiabilities: 400000
+  }, { revenue: 2000000 });
+  assert.strictEqual(bridge.netDebt, 700000);
+  assert.strictEqual(bridge.deferredRevenue.total, 100000);
+  assert.strictEqual(bridge.workingCapital.peg, 100000);
+  assert.strictEqual(bridge.workingCapital.delivered, 0);
+  assert.strictEqual(bridge.equityValue, 4100000);
+});
+
+check('Headline equity value comes from the equity bridge', () => {
+  const result = processFinancialData('Dallas medispa, $2M revenue, $500K EBITDA', { logger: 'silent' });
+  assert.ok(result.success, result.error);
+  close(result.rawResults.equityValue, result.rawResults.equityBridge.equityValue, 1e-6, 'equity value');
+});
+
+finish();
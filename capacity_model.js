@@ -0,0 +1,231 @@
+// PROVIDER CAPACITY AND UTILIZATION
+// Treatment volume is capped by the provider hours and treatment rooms a practice reports;
+// reports utilization and the hires / room build-outs needed to serve the demand the
+// patient funnel creates. Headcount or rooms that weren't reported stay null and never cap
+// the DCF - the report shows the FTEs and rooms demand needs instead.
+
+// Which provider role delivers each chair-time service line
+const PROVIDER_ROLES = { injectables: 'injectors', lasers: 'laserTechs', skincare: 'estheticians' };
+const ASP_FIELDS = { injectables: 'injectablesASP', lasers: 'laserASP', skincare: 'skincareASP' };
+
+const CAPACITY_DEFAULTS = {
+  providerHoursPerYear: 1500,   // Bookable clinical hours per FTE provider, net of admin and training
+  roomHoursPerYear: 3000,       // Open hours per treatment room
+  treatmentMinutes: { injectables: 45, lasers: 60, skincare: 75 }, // Including consult and turnover
+  maxUtilization: 0.9,          // Practical booking ceiling before volume is turned away
+  roomBuildoutCost: 175000
+};
+
+// Treatments implied by line revenue at the current price level
+function treatmentDemand(revenueByLine, pricing, priceIndex = 1) {
+  const demand = {};
+  Object.entries(ASP_FIELDS).forEach(([line, field]) => {
+    demand[line] = pricing[field] > 0 ? (revenueByLine[line] || 0) / (pricing[field] * priceIndex) : 0;
+  });
+  return demand;
+}
+
+function demandHours(treatments, capacity) {
+  const hours = {};
+  Object.keys(PROVIDER_ROLES).forEach(line => {
+    hours[line] = treatments[line] * capacity.treatmentMinutes[line] / 60;
+  });
+  return hours;
+}
+
+// ModelParams.capacity: reported headcount and rooms, null where not reported
+function buildCapacityParams(signals = {}) {
+  const providers = signals.providers || {};
+  const capacity = { ...CAPACITY_DEFAULTS, treatmentMinutes: { ...CAPACITY_DEFAULTS.treatmentMinutes } };
+
+  Object.values(PROVIDER_ROLES).forEach(role => {
+    capacity[role] = providers[role] > 0 ? providers[role] : null;
+  });
+  capacity.rooms = signals.rooms > 0 ? signals.rooms : null;
+
+  return capacity;
+}
+
+// Headcount (or rooms) was reported, so it can bind
+const known = (value) => typeof value === 'number' && value > 0;
+
+// The base year already happened, so reported headcount or rooms that couldn't have
+// delivered its volume are raised to what it implies (the practice is evidently serving it);
+// returns the capacity to project with and each resource that was short
+function fitBaseYear(revenueByLine, pricing, capacity) {
+  const hours = demandHours(treatmentDemand(revenueByLine, pricing), capacity);
+  const fitted = { ...capacity };
+  const shortfalls = [];
+
+  Object.entries(PROVIDER_ROLES).forEach(([line, role]) => {
+    const required = hours[line] / (capacity.providerHoursPerYear * capacity.maxUtilization);
+    if (known(capacity[role]) && required > capacity[role]) {
+      fitted[role] = required;
+      shortfalls.push({ resource: role, reported: capacity[role], baseYearRequired: required });
+    }
+  });
+  const totalHours = Object.values(hours).reduce((a, b) => a + b, 0);
+  const roomsRequired = totalHours / (capacity.roomHoursPerYear * capacity.maxUtilization);
+  if (known(capacity.rooms) && roomsRequired > capacity.rooms) {
+    fitted.rooms = roomsRequired;
+    shortfalls.push({ resource: 'rooms', reported: capacity.rooms, baseYearRequired: roomsRequired });
+  }
+
+  return { capacity: fitted, shortfalls };
+}
+
+// Caps one year's line revenue at the provider and room hours that were reported
+function applyCapacity(revenueByLine, pricing, priceIndex, capacity) {
+  const hours = demandHours(treatmentDemand(revenueByLine, pricing, priceIndex), capacity);
+  const served = {};
+  const available = {};
+  const utilization = {};
+  const fteRequired = {};
+  const hiresNeeded = {};
+
+  Object.entries(PROVIDER_ROLES).forEach(([line, role]) => {
+    fteRequired[role] = hours[line] / (capacity.providerHoursPerYear * capacity.maxUtilization);
+    if (!known(capacity[role])) {
+      served[line] = hours[line];
+      hiresNeeded[role] = null;
+      return;
+    }
+    available[role] = capacity[role] * capacity.providerHoursPerYear;
+    served[line] = Math.min(hours[line], available[role] * capacity.maxUtilization);
+    hiresNeeded[role] = Math.max(0, Math.ceil(fteRequired[role] - capacity[role] - 1e-9));
+  });
+
+  // Rooms are shared, so a room shortfall scales every line back evenly
+  const totalDemandHours = Object.values(hours).reduce((a, b) => a + b, 0);
+  const roomsRequired = totalDemandHours / (capacity.roomHoursPerYear * capacity.maxUtilization);
+  const roomDemand = Object.values(served).reduce((a, b) => a + b, 0);
+  const roomLimit = known(capacity.rooms) ? capacity.rooms * capacity.roomHoursPerYear * capacity.maxUtilization : Infinity;
+  const roomScale = roomDemand > roomLimit ? roomLimit / roomDemand : 1;
+  Object.keys(served).forEach(line => { served[line] *= roomScale; });
+  const roomsNeeded = known(capacity.rooms) ? Math.max(0, Math.ceil(roomsRequired - capacity.rooms - 1e-9)) : null;
+
+  // Capped lines lose revenue in proportion; retail follows the treatment visits it rides on
+  const capped = { ...revenueByLine };
+  let treatmentRevenue = 0;
+  let servedRevenue = 0;
+  Object.keys(PROVIDER_ROLES).forEach(line => {
+    const fill = hours[line] > 0 ? served[line] / hours[line] : 1;
+    capped[line] = revenueByLine[line] * fill;
+    treatmentRevenue += revenueByLine[line];
+    servedRevenue += capped[line];
+  });
+  capped.retail = revenueByLine.retail * (treatmentRevenue > 0 ? servedRevenue / treatmentRevenue : 1);
+
+  // Utilization only where the capacity is known
+  let servedProviderHours = 0;
+  let providerHours = 0;
+  Object.entries(PROVIDER_ROLES).forEach(([line, role]) => {
+    utilization[role] = available[role] > 0 ? served[line] / available[role] : null;
+    if (available[role] > 0) {
+      servedProviderHours += served[line];
+      providerHours += available[role];
+    }
+  });
+  const servedHours = Object.values(served).reduce((a, b) => a + b, 0);
+  utilization.rooms = known(capacity.rooms) ? servedHours / (capacity.rooms * capacity.roomHoursPerYear) : null;
+  utilization.overall = providerHours > 0 ? servedProviderHours / providerHours : null;
+
+  const lostRevenue = Object.values(revenueByLine).reduce((a, b) => a + b, 0) -
+    Object.values(capped).reduce((a, b) => a + b, 0);
+
+  return {
+    revenueByLine: capped,
+    utilization,
+    demandUtilization: providerHours > 0 ?
+      Object.entries(PROVIDER_ROLES).filter(([, role]) => available[role] > 0)
+        .reduce((sum, [line]) => sum + hours[line], 0) / providerHours : null,
+    lostRevenue,
+    constrained: lostRevenue > 0.5,
+    fteRequired,
+    roomsRequired,
+    hiresNeeded,
+    roomsNeeded
+  };
+}
+
+// Projection-level view: utilization by year and the largest hiring / room gap.
+// Unreported headcount or rooms show as null, with the FTEs / rooms demand needs alongside.
+// `capacity` is what the projection ran with (after fitBaseYear); `reportedCapacity` what was reported.
+function summarizeCapacity(years, capacity, reportedCapacity = capacity, shortfalls = []) {
+  const byYear = years.map(row => ({
+    year: row.year,
+    utilization: row.capacity.utilization.overall,
+    demandUtilization: row.capacity.demandUtilization,
+    roomUtilization: row.capacity.utilization.rooms,
+    lostRevenue: row.capacity.lostRevenue,
+    constrained: row.capacity.constrained
+  }));
+
+  const peak = (values) => Math.max(...values);
+  const hiresNeeded = {};
+  const fteRequired = {};
+  Object.values(PROVIDER_ROLES).forEach(role => {
+    fteRequired[role] = peak(years.map(row => row.capacity.fteRequired[role]));
+    hiresNeeded[role] = known(capacity[role]) ? peak(years.map(row => row.capacity.hiresNeeded[role])) : null;
+  });
+  const roomsNeeded = known(capacity.rooms) ? peak(years.map(row => row.capacity.roomsNeeded)) : null;
+  const reportedRoles = Object.values(PROVIDER_ROLES).filter(role => known(capacity[role]));
+
+  return {
+    headcount: Object.fromEntries(Object.values(PROVIDER_ROLES).map(role => [role, reportedCapacity[role]])),
+    rooms: reportedCapacity.rooms,
+    servingHeadcount: Object.fromEntries(Object.values(PROVIDER_ROLES).map(role => [role, capacity[role]])),
+    servingRooms: capacity.rooms,
+    baseYearShortfalls: shortfalls,
+    reported: reportedRoles.length > 0 || known(capacity.rooms),
+    byYear,
+    firstConstrainedYear: byYear.find(row => row.constrained)?.year || null,
+    lostRevenue: byYear.reduce((sum, row) => sum + row.lostRevenue, 0),
+    fteRequired,
+    roomsRequired: peak(years.map(row => row.capacity.roomsRequired)),
+    hiresNeeded,
+    totalHires: reportedRoles.reduce((sum, role) => sum + hiresNeeded[role], 0),
+    roomsNeeded,
+    roomCapex: (roomsNeeded || 0) * capacity.roomBuildoutCost
+  };
+}
+
+// Hires and rooms a growth rate needs by the exit year, from base-year demand and beyond
+// the capacity the base year shows is serving it;
+// null where headcount or rooms weren't reported (fte / roomsRequired still show demand)
+function growthRequirements(modelParams, annualGrowth, years = modelParams.exit?.exitYear || 5) {
+  const { pricing } = modelParams;
+  const { capacity } = fitBaseYear(modelParams.baseYearRevenueBreakdown, pricing, modelParams.capacity);
+  const scale = Math.pow(1 + annualGrowth, years - 1);
+  const baseHours = demandHours(treatmentDemand(modelParams.baseYearRevenueBreakdown, pricing), capacity);
+
+  const fte = {};
+  const hires = {};
+  Object.entries(PROVIDER_ROLES).forEach(([line, role]) => {
+    fte[role] = baseHours[line] * scale / (capacity.providerHoursPerYear * capacity.maxUtilization);
+    hires[role] = known(capacity[role]) ? Math.max(0, Math.ceil(fte[role] - capacity[role] - 1e-9)) : null;
+  });
+  const totalHours = Object.values(baseHours).reduce((a, b) => a + b, 0) * scale;
+  const roomsRequired = totalHours / (capacity.roomHoursPerYear * capacity.maxUtilization);
+  const rooms = known(capacity.rooms) ? Math.max(0, Math.ceil(roomsRequired - capacity.rooms - 1e-9)) : null;
+
+  return {
+    fte,
+    hires,
+    totalHires: Object.values(hires).reduce((sum, value) => sum + (value || 0), 0),
+    roomsRequired,
+    rooms,
+    capex: (rooms || 0) * capacity.roomBuildoutCost
+  };
+}
+
+module.exports = {
+  buildCapacityParams,
+  fitBaseYear,
+  applyCapacity,
+  summarizeCapacity,
+  growthRequirements,
+  treatmentDemand,
+  CAPACITY_DEFAULTS,
+  PROVIDER_ROLES
+};
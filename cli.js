@@ -0,0 +1,286 @@
+// MEDISPA VALUATION CLI
+// node cli.js <parse|validate|value|scenarios|report> ["financial data" | --file path] [flags]
+
+const fs = require('fs');
+const path = require('path');
+const { processFinancialData, parseInput, validateData, collectOverrides, assumptionSchema } = require('./data_processor');
+const { validateOverrides } = require('./assumption_overrides');
+const { escapeCsv, markdownTable, OUTPUT_FORMATS } = require('./report_formats');
+const { resolveLogger } = require('./logger');
+
+const EXIT_CODES = {
+  ok: 0,
+  usage: 1,       // Bad command, flag or input file
+  validation: 2,  // Data quality issues (validate, or any command with --strict)
+  error: 3        // Parsing or valuation failed
+};
+
+const COMMANDS = ['parse', 'validate', 'value', 'scenarios', 'report'];
+const DATA_TYPES = ['text', 'structured', 'multiyear', 'csv', 'visits'];
+
+const FLAGS = {
+  type: { alias: 't', value: true, help: `Data type: ${DATA_TYPES.join(', ')} (default from file extension, else text)` },
+  file: { alias: 'f', value: true, help: 'Read input from a file instead of the argument' },
+  location: { alias: 'l', value: true, help: 'Override location (market key, "City, ST" or zip)' },
+  visits: { value: true, help: 'Patient visit log CSV (patient id, date, service, amount) to measure the patient base' },
+  'marketing-spend': { value: true, number: true, help: 'Annual marketing spend for CAC from the visit log' },
+  wacc: { value: true, number: true, help: 'Override WACC, e.g. 0.115' },
+  'exit-multiple': { value: true, number: true, help: 'Override DCF exit EBITDA multiple' },
+  set: { value: true, repeat: true, help: 'Override any assumption, e.g. --set pricing.injectablesASP=600' },
+  format: { alias: 'o', value: true, help: `Output format: ${OUTPUT_FORMATS.join(', ')} (default text)` },
+  log: { value: true, help: 'Progress logging: silent (default), pretty, json' },
+  'log-level': { value: true, help: 'debug, info, warn, error' },
+  strict: { help: 'Exit 2 when validation reports issues' },
+  help: { alias: 'h', help: 'Show this help' }
+};
+
+const USAGE = `Usage: node cli.js <command> ["financial data" | --file path] [flags]
+
+Commands:
+  parse       Extract financial data and print it as JSON
+  validate    Report data quality issues (exit ${EXIT_CODES.validation} if any)
+  value       Headline valuation: EV, equity value, multiple, EPV, DCF
+  scenarios   Growth scenario enterprise values
+  report      Full valuation report
+
+Flags:
+${Object.entries(FLAGS).map(([name, flag]) =>
+  `  ${(flag.alias ? `-${flag.alias}, ` : '    ') + `--${name}${flag.value ? ' <value>' : ''}`.padEnd(26)}${flag.help}`).join('\n')}
+
+Exit codes: 0 ok, 1 usage, 2 validation issues, 3 processing error
+
+Example: node cli.js value "Dallas medispa, $2M revenue, $500K EBITDA" --wacc 0.11`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  const aliases = Object.fromEntries(Object.entries(FLAGS)
+    .filter(([, flag]) => flag.alias)
+    .map(([name, flag]) => [flag.alias, name]));
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/) || arg.match(/^-([a-z])$/);
+    if (!match) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = aliases[match[1]] || match[1];
+    const flag = FLAGS[name];
+    if (!flag) throw new UsageError(`Unknown flag ${arg}`);
+
+    if (!flag.value) {
+      flags[name] = true;
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new UsageError(`Flag --${name} needs a value`);
+    if (flag.repeat) {
+      flags[name] = [...(flags[name] || []), value];
+    } else if (flag.number) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new UsageError(`Flag --${name} expects a number (got "${value}")`);
+      flags[name] = number;
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { command: positional[0], input: positional.slice(1).join(' '), flags };
+}
+
+function readInput(parsed) {
+  const { flags } = parsed;
+  let input = parsed.input;
+  let dataType = flags.type;
+
+  if (flags.file) {
+    if (!fs.existsSync(flags.file)) throw new UsageError(`Input file not found: ${flags.file}`);
+    input = fs.readFileSync(flags.file, 'utf8');
+    const extension = path.extname(flags.file).toLowerCase();
+    dataType = dataType || (extension === '.csv' ? 'csv' : extension === '.json' ? 'structured' : 'text');
+  }
+
+  if (!input || !input.trim()) throw new UsageError('No financial data given - pass a string or --file');
+  if (flags.visits && !fs.existsSync(flags.visits)) throw new UsageError(`Visit log not found: ${flags.visits}`);
+  if (dataType && !DATA_TYPES.includes(dataType)) {
+    throw new UsageError(`Unknown data type "${dataType}" (expected ${DATA_TYPES.join(', ')})`);
+  }
+  const overrides = {};
+  (flags.set || []).forEach(assignment => {
+    const match = assignment.match(/^([A-Za-z][\w.]*)=(.+)$/);
+    const value = match && Number(match[2]);
+    if (!match || !Number.isFinite(value)) {
+      throw new UsageError(`--set expects path=number (got "${assignment}")`);
+    }
+    overrides[match[1]] = value;
+  });
+
+  // Unknown paths and out-of-range values are usage errors, caught before any processing
+  try {
+    validateOverrides(collectOverrides({ overrides, wacc: flags.wacc, exitMultiple: flags['exit-multiple'] }), assumptionSchema());
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const format = flags.format || 'text';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  return {
+    input,
+    format,
+    options: {
+      dataType: dataType || 'text',
+      location: flags.location,
+      visitLog: flags.visits && fs.readFileSync(flags.visits, 'utf8'),
+      marketingSpend: flags['marketing-spend'],
+      wacc: flags.wacc,
+      exitMultiple: flags['exit-multiple'],
+      overrides,
+      logger: flags.log || 'silent',
+      logLevel: flags['log-level']
+    }
+  };
+}
+
+const currency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0
+}).format(value);
+
+// Each command returns { output, issues } and throws on processing failure
+const COMMAND_HANDLERS = {
+  parse({ input, options }) {
+    const parsedData = parseInput(input, options, loggerFor(options));
+    return { output: JSON.stringify(parsedData, null, 2), issues: [] };
+  },
+
+  validate({ input, format, options }) {
+    const logger = loggerFor(options);
+    const issues = validateData(parseInput(input, options, logger), logger);
+    if (format === 'json') return { output: JSON.stringify({ valid: issues.length === 0, issues }, null, 2), issues };
+    const output = issues.length === 0 ?
+      '✅ Data validation passed' :
+      [`⚠️ ${issues.length} validation issue(s):`, ...issues.map(issue => `• ${issue}`)].join('\n');
+    return { output, issues };
+  },
+
+  value({ input, format, options }) {
+    const result = runValuation(input, options, format === 'csv' ? 'csv' : 'json');
+    if (format === 'csv') return { output: result.output, issues: result.validationIssues };
+
+    const report = JSON.parse(result.output);
+    if (format === 'json') {
+      const { schemaVersion, valuation, market } = report;
+      return { output: JSON.stringify({ schemaVersion, valuation, market }, null, 2), issues: result.validationIssues };
+    }
+
+    const { valuation } = report;
+    const lines = [
+      `Location: ${report.market.key} (${report.market.tier})`,
+      `Enterprise Value: ${currency(valuation.enterpriseValue)} @ ${valuation.enhancedMultiple.toFixed(2)}x EBITDA`,
+      `Equity Value: ${currency(valuation.equityValue)}`,
+      `EPV: ${currency(valuation.earningsPowerValue)}`,
+      `DCF Enterprise Value: ${currency(valuation.dcfEnterpriseValue)}`
+    ];
+    if (format === 'markdown') {
+      return { output: lines.map(line => `- ${line}`).join('\n'), issues: result.validationIssues };
+    }
+    return { output: lines.join('\n'), issues: result.validationIssues };
+  },
+
+  scenarios({ input, format, options }) {
+    const result = runValuation(input, options, 'text');
+    const scenarios = result.rawResults.growthScenarios;
+    if (format === 'json') return { output: JSON.stringify(scenarios, null, 2), issues: result.validationIssues };
+
+    const rows = Object.values(scenarios).map(scenario => [
+      scenario.name,
+      `${(scenario.patientGrowth * 100).toFixed(1)}%`,
+      `${scenario.multiple.toFixed(2)}x`,
+      currency(scenario.enterpriseValue),
+      `${scenario.evChange >= 0 ? '+' : ''}${scenario.evChange.toFixed(1)}%`
+    ]);
+    const headers = ['Scenario', 'Patient Growth', 'Multiple', 'Enterprise Value', 'vs Base'];
+
+    let output;
+    if (format === 'csv') {
+      output = [headers, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+    } else if (format === 'markdown') {
+      output = markdownTable(headers, rows);
+    } else {
+      output = [headers, ...rows].map(row => row.map((cell, i) => cell.padEnd(i === 0 ? 14 : 17)).join('')).join('\n');
+    }
+    return { output, issues: result.validationIssues };
+  },
+
+  report({ input, format, options }) {
+    const result = runValuation(input, options, format);
+    return { output: result.output, issues: result.validationIssues };
+  }
+};
+
+function loggerFor(options) {
+  return resolveLogger(options.logger, options.logLevel);
+}
+
+function runValuation(input, options, format) {
+  const result = processFinancialData(input, { ...options, format });
+  if (!result.success) throw new Error(result.error);
+  return result;
+}
+
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  let request;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.flags.help || !parsed.command) {
+      io.stdout.write(USAGE + '\n');
+      return parsed.flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!COMMANDS.includes(parsed.command)) {
+      throw new UsageError(`Unknown command "${parsed.command}" (expected ${COMMANDS.join(', ')})`);
+    }
+    request = readInput(parsed);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`${error.message}\nRun with --help for usage\n`);
+    return EXIT_CODES.usage;
+  }
+
+  let outcome;
+  try {
+    outcome = COMMAND_HANDLERS[parsed.command](request);
+  } catch (error) {
+    io.stderr.write(`❌ ${error.message}\n`);
+    return EXIT_CODES.error;
+  }
+
+  io.stdout.write(outcome.output + '\n');
+  if (outcome.issues.length > 0 && (parsed.command === 'validate' || parsed.flags.strict)) {
+    if (parsed.command !== 'validate') {
+      io.stderr.write(`⚠️ ${outcome.issues.length} validation issue(s) - failing under --strict\n`);
+    }
+    return EXIT_CODES.validation;
+  }
+  return EXIT_CODES.ok;
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  COMMANDS,
+  EXIT_CODES
+};
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
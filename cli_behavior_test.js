@@ -0,0 +1,48 @@
+// CLI BEHAVIOR CHECKS
+// Subcommand exit codes, run in-process with captured output:
+// node cli_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { main, EXIT_CODES } = require('./cli');
+const { createCheckRun } = require('./behavior_checks');
+
+const DALLAS = 'Dallas medispa, $2M revenue, $500K EBITDA, 3500 active patients';
+
+function runCli(argv) {
+  const captured = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: text => { captured.stdout += text; } },
+    stderr: { write: text => { captured.stderr += text; } }
+  };
+  return { code: main(argv, io), ...captured };
+}
+
+const { check, finish } = createCheckRun("⌨️ CLI BEHAVIOR CHECKS", 'CLI');
+
+check('Exit 0 on a clean valuation', () => {
+  const run = runCli(['value', DALLAS]);
+  assert.strictEqual(run.code, EXIT_CODES.ok, run.stderr);
+  assert.ok(run.stdout.length > 0);
+});
+
+check('Exit 1 on usage errors, including bad --set / --wacc values', () => {
+  [
+    ['bogus', DALLAS],
+    ['value', DALLAS, '--type', 'bogus'],
+    ['value', DALLAS, '--set', 'discount.wacc=5'],
+    ['value', DALLAS, '--set', 'pricing.botoxASP=600'],
+    ['value', DALLAS, '--wacc', '1.5']
+  ].forEach(argv => assert.strictEqual(runCli(argv).code, EXIT_CODES.usage, argv.join(' ')));
+});
+
+check('Exit 2 on validation issues', () => {
+  assert.strictEqual(runCli(['validate', 'medispa with $2M revenue']).code, EXIT_CODES.validation);
+});
+
+check('Exit 3 when processing fails', () => {
+  const run = runCli(['value', DALLAS, '--location', 'Atlantis']);
+  assert.strictEqual(run.code, EXIT_CODES.error);
+  assert.ok(/not in market table/.test(run.stderr));
+});
+
+finish();
@@ -0,0 +1,67 @@
+// CORRELATED DRIVER SAMPLING
+// Builds a correlation matrix from pairwise driver correlations, checks it is positive
+// semi-definite and turns independent standard normals into correlated ones (Cholesky)
+
+const PSD_TOLERANCE = 1e-10;
+
+// pairs: [{ drivers: ['patientGrowth', 'serviceExpansion'], correlation: 0.75 }, ...]
+function buildCorrelationMatrix(variables, pairs) {
+  const index = Object.fromEntries(variables.map((variable, i) => [variable, i]));
+  const matrix = variables.map((_, i) => variables.map((__, j) => (i === j ? 1 : 0)));
+
+  pairs.forEach(({ drivers, correlation }) => {
+    const [a, b] = drivers;
+    if (index[a] === undefined || index[b] === undefined) {
+      throw new Error(`Correlation ${a} ↔ ${b} names an unknown driver (expected ${variables.join(', ')})`);
+    }
+    if (a === b || !(correlation >= -1 && correlation <= 1)) {
+      throw new Error(`Correlation ${a} ↔ ${b} must pair two drivers with a value between -1 and 1 (got ${correlation})`);
+    }
+    matrix[index[a]][index[b]] = correlation;
+    matrix[index[b]][index[a]] = correlation;
+  });
+
+  return matrix;
+}
+
+// Lower-triangular L with L·Lᵀ = matrix; a zero pivot is allowed (semi-definite),
+// a negative one means the correlations contradict each other
+function choleskyDecomposition(matrix, variables = matrix.map((_, i) => `#${i + 1}`)) {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array(n).fill(0));
+
+  for (let j = 0; j < n; j++) {
+    let pivot = matrix[j][j];
+    for (let k = 0; k < j; k++) pivot -= lower[j][k] * lower[j][k];
+    if (pivot < -PSD_TOLERANCE) {
+      throw new Error(`Correlation matrix is not positive semi-definite (pivot ${pivot.toFixed(4)} at ${variables[j]})`);
+    }
+    lower[j][j] = Math.sqrt(Math.max(0, pivot));
+
+    for (let i = j + 1; i < n; i++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (lower[j][j] <= PSD_TOLERANCE) {
+        // A fully determined driver can only carry the correlations it already implies
+        if (Math.abs(sum) > 1e-8) {
+          throw new Error(`Correlation matrix is not positive semi-definite (${variables[j]} ↔ ${variables[i]} inconsistent)`);
+        }
+        continue;
+      }
+      lower[i][j] = sum / lower[j][j];
+    }
+  }
+
+  return lower;
+}
+
+// z = L·u for a vector u of independent standard normals
+function correlateNormals(lower, independent) {
+  return lower.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+}
+
+module.exports = {
+  buildCorrelationMatrix,
+  choleskyDecomposition,
+  correlateNormals
+};
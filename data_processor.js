@@ -2,26 +2,246 @@
 // Converts raw financial data into structured ModelParams for analysis
 
 const fs = require('fs');
+const { calculateEPV } = require('./epv_engine');
+const { runDCFProjection } = require('./dcf_projection');
+const { buildEbitdaBridge } = require('./ebitda_normalization');
+const { buildEquityBridge } = require('./equity_bridge');
+const { loadMarketTable, getMarket, lookupMarket, marketNames } = require('./market_table');
+const { calculateEnhancedMultiple } = require('./enhanced_multiple');
+const { formatJson, formatMarkdown, formatCsv, OUTPUT_FORMATS } = require('./report_formats');
+const { createLogger, resolveLogger } = require('./logger');
+const { applyOverrides, flattenPaths, summarizeSources, KEY_ASSUMPTIONS } = require('./assumption_overrides');
+const { estimateRevenueMix, mixScenarios, lineMargins, blendedMargin, DEFAULT_MIX } = require('./revenue_mix');
+const { parseVisitLog, visitRowsFromTable, analyzePatientRecords } = require('./patient_records');
+const { calculateUnitEconomics } = require('./unit_economics');
+const { buildCapacityParams, growthRequirements, CAPACITY_DEFAULTS, PROVIDER_ROLES } = require('./capacity_model');
+
+// Library callers that don't pass a logger get the console banners
+const defaultLogger = createLogger();
 
 // Core data extraction functions
-function parseFinancialData(inputData, dataType = 'text') {
-  console.log('🔍 PARSING FINANCIAL DATA...');
-  console.log(`Data type: ${dataType}`);
+function parseFinancialData(inputData, dataType = 'text', logger = defaultLogger) {
+  logger.info('🔍 PARSING FINANCIAL DATA...', { stage: 'parse', dataType });
+  logger.debug(`Data type: ${dataType}`);
   
   let parsed = {};
   
   if (dataType === 'text') {
-    parsed = parseTextData(inputData);
+    parsed = parseTextData(inputData, logger);
   } else if (dataType === 'structured') {
-    parsed = parseStructuredData(inputData);
+    parsed = parseStructuredData(inputData, logger);
+  } else if (dataType === 'multiyear') {
+    parsed = parseMultiPeriodData(inputData, logger);
+  } else if (dataType === 'csv') {
+    parsed = parseCsvData(inputData, logger);
+  } else if (dataType === 'visits') {
+    parsed = parseVisitData(inputData, {}, logger);
   }
   
-  console.log('✅ Data parsing complete');
+  logger.info('✅ Data parsing complete', { stage: 'parse' });
   return parsed;
 }
 
-function parseTextData(text) {
-  console.log(`Parsing text: "${text}"`);
+// Amount tokenizer: "$2.1MM", "2,100k", "USD 2.1 million", "(450,000)", "12.5%".
+// Never infers a scale that is not written; unit-less amounts are flagged instead.
+const AMOUNT_UNITS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mn: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9
+};
+
+// Embeddable form for extraction patterns; parseAmount validates the captured token
+const AMOUNT_TOKEN = String.raw`\(?-?(?:USD\s*|US\$\s*)?\$?\s?[0-9](?:[0-9.,]*[0-9])?(?:\s?(?:mm|million|mil|mn|m|thousand|k|billion|bn|b)\b|%)?\)?`;
+
+function parseAmount(raw, options = {}) {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim().replace(/[.,]+$/, '');
+  const match = text.match(/^(\()?\s*(-)?\s*(USD|US\$)?\s*(\$)?\s*(-)?\s*([0-9][0-9,]*(?:\.[0-9]+)?|\.[0-9]+)\s*(%|mm|million|mil|mn|m|thousand|k|billion|bn|b)?\s*(USD)?\s*(\))?$/i);
+  if (!match) return null;
+  
+  const [, openParen, leadingMinus, currencyCode, dollarSign, innerMinus, digits, unitToken, trailingCode, closeParen] = match;
+  const warnings = [];
+  
+  if (Boolean(openParen) !== Boolean(closeParen)) {
+    warnings.push(`Unbalanced parentheses in "${text}"`);
+  }
+  if (digits.includes(',') && !/^[0-9]{1,3}(,[0-9]{3})+(\.[0-9]+)?$/.test(digits)) {
+    warnings.push(`Irregular thousands separators in "${text}"`);
+  }
+  
+  const negative = Boolean((openParen && closeParen) || leadingMinus || innerMinus);
+  const unit = unitToken ? unitToken.toLowerCase() : null;
+  const number = parseFloat(digits.replace(/,/g, ''));
+  
+  if (unit === '%') {
+    return {
+      raw: text,
+      value: (negative ? -number : number) / 100,
+      isPercent: true,
+      unit,
+      scale: 0.01,
+      currency: null,
+      negative,
+      ambiguous: false,
+      warnings
+    };
+  }
+  
+  const scale = unit ? AMOUNT_UNITS[unit] : 1;
+  const currency = currencyCode || trailingCode || dollarSign ? 'USD' : null;
+  let ambiguous = false;
+  
+  if (!unit && options.expect === 'currency' && number > 0 && number < 1000) {
+    ambiguous = true;
+    warnings.push(`Ambiguous amount "${text}" has no unit - taken as ${number} dollars, not scaled`);
+  }
+  if (unit === 'm' && number >= 1000) {
+    ambiguous = true;
+    warnings.push(`"${text}" reads as ${(number / 1000).toFixed(1)} billion - "M" may denote thousands here`);
+  }
+  
+  return {
+    raw: text,
+    value: (negative ? -1 : 1) * number * scale,
+    isPercent: false,
+    unit,
+    scale,
+    currency,
+    negative,
+    ambiguous,
+    warnings
+  };
+}
+
+// Text extraction patterns, most trusted first. Confidence reflects how reliably
+// the phrasing identifies the field (e.g. operating income is only an EBITDA proxy).
+const TEXT_FIELD_PATTERNS = {
+  revenue: [
+    { name: 'amount-before-revenue', pattern: new RegExp(`(${AMOUNT_TOKEN})\\s*(?:in\\s+|of\\s+)?(?:total\\s+|annual\\s+|net\\s+)?(?:revenue|sales)(?!\\s*per\\b)`, 'i'), confidence: 0.9 },
+    { name: 'revenue-label', pattern: new RegExp(`revenue[:\\s]*(?:of\\s+|was\\s+|is\\s+)?(${AMOUNT_TOKEN})`, 'i'), confidence: 0.85 },
+    // "Revenue grew (by 33%) (from $3M) to $4M", "revenue reached $4M": the amount after "to" is current
+    { name: 'revenue-change-to', pattern: new RegExp(`revenue\\s+(?:(?:grew|increased|rose|climbed|jumped|declined|decreased|fell|dropped)\\s+(?:(?:by\\s+|from\\s+)?${AMOUNT_TOKEN}\\s+){0,2}to|reached|totall?ed|hit)\\s+(${AMOUNT_TOKEN})`, 'i'), confidence: 0.8 },
+    { name: 'sales-label', pattern: new RegExp(`(?<!cost\\s+of\\s+)sales[:\\s]*(?:of\\s+|was\\s+|is\\s+)?(${AMOUNT_TOKEN})`, 'i'), confidence: 0.7 },
+    { name: 'total-revenue-label', pattern: new RegExp(`total\\s+revenue[:\\s]*(${AMOUNT_TOKEN})`, 'i'), confidence: 0.9 }
+  ],
+  ebitda: [
+    { name: 'amount-before-ebitda', pattern: new RegExp(`(${AMOUNT_TOKEN})\\s*(?:in\\s+|of\\s+)?(?:adjusted\\s+)?ebitda(?!\\s*margin)`, 'i'), confidence: 0.9 },
+    { name: 'ebitda-label', pattern: new RegExp(`ebitda[:\\s]*(?:of\\s+|was\\s+|is\\s+)?(${AMOUNT_TOKEN})`, 'i'), confidence: 0.9 },
+    { name: 'operating-income-proxy', pattern: new RegExp(`operating\\s+income[:\\s]*(?:of\\s+|was\\s+|is\\s+)?(${AMOUNT_TOKEN})`, 'i'), confidence: 0.45 }
+  ],
+  ebitdaMargin: [
+    { name: 'ebitda-margin-label', pattern: /ebitda\s+margin[:\s]*(?:of\s+|was\s+|is\s+)?(-?[0-9.]+\s*%)/i, confidence: 0.9 },
+    { name: 'percent-before-margin', pattern: /(-?[0-9.]+\s*%)\s*(?:ebitda\s+)?margin/i, confidence: 0.8 }
+  ],
+  activePatients: [
+    { name: 'count-before-patients', pattern: /([0-9,]+)\s*patients/i, confidence: 0.8 },
+    { name: 'patient-base-label', pattern: /patient.*base[:\s]*([0-9,]+)/i, confidence: 0.75 },
+    { name: 'active-patients-label', pattern: /active.*patients[:\s]*([0-9,]+)/i, confidence: 0.85 }
+  ],
+  location: [
+    // "Location: Dallas", "located in Austin, TX", "based in 90210" - needs the separator, so "(2 locations)" is not a label
+    { name: 'location-label', pattern: /\b(?:location\s*:|located\s+in|based\s+in|location\s+is\s+(?:in\s+)?)\s*([0-9]{5}(?:-[0-9]{4})?\b|[A-Za-z][A-Za-z.'-]+(?:\s+[A-Za-z][A-Za-z.'-]+){0,3}(?:,\s*[A-Z]{2}\b)?)/i, confidence: 0.9, convert: toLabelledMarket },
+    { name: 'known-market', pattern: new RegExp(`\\b(${marketNames().map(escapeRegExp).join('|')})\\b`, 'i'), confidence: 0.85 },
+    { name: 'state-zip', pattern: /\b[A-Z]{2}\s+([0-9]{5})(?:-[0-9]{4})?\b/, confidence: 0.8 },
+    { name: 'zip-label', pattern: /zip(?:\s*code)?[:\s]*([0-9]{5})\b/i, confidence: 0.8 },
+    { name: 'city-state', pattern: /\b([A-Z][a-z]+(?:\s[A-Z][a-z]+)*,\s*[A-Z]{2})\b/, confidence: 0.6 },
+    // Any bare zip, but only when the market table knows it (5-digit counts are common in financials)
+    { name: 'bare-zip', pattern: /(?<![$0-9.,])\b([0-9]{5})(?:-[0-9]{4})?\b(?![0-9.,%]|\s*(?:patients|visits|members|treatments))/, confidence: 0.55, convert: toZipMarket }
+  ]
+};
+
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Statement line items for the FinancialReportInput shape shared with enhanced_validation.ts
+function labelPattern(name, label, confidence = 0.9) {
+  return {
+    name,
+    pattern: new RegExp(`\\b(?:${label})[:\\s]*(?:of\\s+|was\\s+|is\\s+)?(${AMOUNT_TOKEN})`, 'i'),
+    confidence
+  };
+}
+
+const STATEMENT_LINE_PATTERNS = {
+  incomeStatement: {
+    costOfGoodsSold: [labelPattern('cogs-label', String.raw`cost\s+of\s+goods\s+sold|cost\s+of\s+sales|cogs`)],
+    operatingExpenses: [labelPattern('opex-label', String.raw`(?:total\s+)?operating\s+expenses|opex`)],
+    depreciation: [labelPattern('depreciation-label', String.raw`depreciation(?:\s+(?:and|&)\s+amortization)?|d&a`)],
+    interestExpense: [labelPattern('interest-label', String.raw`interest(?:\s+expense)?`)],
+    taxes: [labelPattern('taxes-label', String.raw`(?<!payroll\s)(?:income\s+)?tax(?:es)?(?:\s+expense)?`, 0.8)],
+    netIncome: [labelPattern('net-income-label', String.raw`net\s+(?:income|profit)`)]
+  },
+  balanceSheet: {
+    cash: [labelPattern('cash-label', String.raw`cash(?:\s+(?:and|&)\s+(?:cash\s+)?equivalents)?`, 0.85)],
+    currentAssets: [labelPattern('current-assets-label', String.raw`(?:total\s+)?current\s+assets`)],
+    fixedAssets: [labelPattern('fixed-assets-label', String.raw`fixed\s+assets|pp&e|property(?:,)?\s+(?:plant\s+)?(?:and|&)\s+equipment`)],
+    totalAssets: [labelPattern('total-assets-label', String.raw`total\s+assets`)],
+    currentLiabilities: [labelPattern('current-liabilities-label', String.raw`(?:total\s+)?current\s+liabilities`)],
+    shortTermDebt: [labelPattern('short-term-debt-label', String.raw`short[\s-]term\s+debt|line\s+of\s+credit`)],
+    longTermDebt: [labelPattern('long-term-debt-label', String.raw`long[\s-]term\s+debt`)],
+    capitalLeases: [labelPattern('capital-leases-label', String.raw`(?:capital|finance)\s+leases?(?:\s+obligations?)?`)],
+    deferredRevenue: [labelPattern('deferred-revenue-label', String.raw`deferred\s+revenue|unearned\s+revenue`)],
+    prepaidPackages: [labelPattern('prepaid-packages-label', String.raw`prepaid\s+(?:treatment\s+)?packages?`, 0.85)],
+    deferredMemberships: [labelPattern('deferred-memberships-label', String.raw`(?:deferred|prepaid)\s+membership(?:s|\s+dues)?`, 0.85)],
+    totalLiabilities: [labelPattern('total-liabilities-label', String.raw`total\s+liabilities`)],
+    equity: [labelPattern('equity-label', String.raw`(?:total\s+)?(?:(?:share|stock)holders'?\s+|owners'?\s+)?equity`, 0.85)]
+  }
+};
+
+function extractStatementLines(text, data, toAmount) {
+  const report = { incomeStatement: {}, balanceSheet: {} };
+  
+  Object.entries(STATEMENT_LINE_PATTERNS).forEach(([statement, fields]) => {
+    Object.entries(fields).forEach(([field, patterns]) => {
+      const extraction = extractField(text, patterns, toAmount);
+      if (extraction) {
+        report[statement][field] = extraction.value;
+        data.provenance[`${statement}.${field}`] = extraction;
+      }
+    });
+  });
+  
+  return report;
+}
+
+// Fill the subtotals that follow arithmetically from reported line items
+function completeFinancialReport(report) {
+  const is = { ...report.incomeStatement };
+  const bs = { ...report.balanceSheet };
+  const known = (value) => typeof value === 'number' && !Number.isNaN(value);
+  
+  if (!known(is.grossProfit) && known(is.revenue) && known(is.costOfGoodsSold)) {
+    is.grossProfit = is.revenue - is.costOfGoodsSold;
+  }
+  if (!known(is.ebitda) && known(is.grossProfit) && known(is.operatingExpenses)) {
+    is.ebitda = is.grossProfit - is.operatingExpenses;
+  }
+  if (!known(is.ebit) && known(is.ebitda) && known(is.depreciation)) {
+    is.ebit = is.ebitda - is.depreciation;
+  }
+  if (!known(is.netIncome) && known(is.ebit) && known(is.taxes)) {
+    is.netIncome = is.ebit - (is.interestExpense || 0) - is.taxes;
+  }
+  
+  if (!known(bs.totalAssets) && known(bs.currentAssets) && known(bs.fixedAssets)) {
+    bs.totalAssets = bs.currentAssets + bs.fixedAssets;
+  }
+  if (!known(bs.totalLiabilities) && known(bs.currentLiabilities) && known(bs.longTermDebt)) {
+    bs.totalLiabilities = bs.currentLiabilities + bs.longTermDebt;
+  }
+  if (!known(bs.equity) && known(bs.totalAssets) && known(bs.totalLiabilities)) {
+    bs.equity = bs.totalAssets - bs.totalLiabilities;
+  }
+  
+  const reported = (lines) => Object.fromEntries(Object.entries(lines).filter(([, value]) => known(value)));
+  return { incomeStatement: reported(is), balanceSheet: reported(bs) };
+}
+
+function parseTextData(text, logger = defaultLogger) {
+  logger.debug(`Parsing text: "${text}"`);
   
   const data = {
     revenue: {},
@@ -29,89 +249,249 @@ function parseTextData(text) {
     operations: {},
     patients: {},
     location: null,
-    marketContext: {}
+    marketContext: {},
+    provenance: {}
   };
   
-  // Extract revenue figures - improved patterns
-  const revenuePatterns = [
-    /\$([0-9.]+)m\s*revenue/i,
-    /revenue[:\s]*\$?([0-9.,]+)\s*[mk]?/i,
-    /sales[:\s]*\$?([0-9.,]+)\s*[mk]?/i,
-    /total.*revenue[:\s]*\$?([0-9.,]+)\s*[mk]?/i
-  ];
+  const toAmount = (match) => {
+    const amount = parseAmount(match[1], { expect: 'currency' });
+    return amount && !amount.isPercent ? amount : null;
+  };
+  const toPercent = (match) => {
+    const amount = parseAmount(match[1]);
+    return amount && amount.isPercent ? amount : null;
+  };
   
-  for (const pattern of revenuePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      data.revenue.total = parseNumberWithUnits(match[1] + (pattern.source.includes('m') ? 'm' : ''));
-      console.log(`Revenue match: "${match[0]}" -> ${data.revenue.total}`);
-      break;
-    }
+  const revenue = extractField(text, TEXT_FIELD_PATTERNS.revenue, toAmount);
+  if (revenue) {
+    data.revenue.total = revenue.value;
+    data.provenance.revenue = revenue;
+    logger.debug(`Revenue match: "${revenue.source}" -> ${revenue.value} (${revenue.pattern}, confidence ${revenue.confidence.toFixed(2)})`,
+      { field: 'revenue', value: revenue.value, pattern: revenue.pattern, confidence: revenue.confidence });
   }
   
-  // Extract EBITDA - improved patterns
-  const ebitdaPatterns = [
-    /\$([0-9.]+)m\s*ebitda/i,
-    /ebitda[:\s]*\$?([0-9.,]+)\s*[mk]?/i,
-    /operating.*income[:\s]*\$?([0-9.,]+)\s*[mk]?/i
-  ];
+  const ebitda = extractField(text, TEXT_FIELD_PATTERNS.ebitda, toAmount);
+  if (ebitda) {
+    data.profitability.ebitda = ebitda.value;
+    data.provenance.ebitda = ebitda;
+    logger.debug(`EBITDA match: "${ebitda.source}" -> ${ebitda.value} (${ebitda.pattern}, confidence ${ebitda.confidence.toFixed(2)})`,
+      { field: 'ebitda', value: ebitda.value, pattern: ebitda.pattern, confidence: ebitda.confidence });
+  }
   
-  for (const pattern of ebitdaPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      data.profitability.ebitda = parseNumberWithUnits(match[1] + (pattern.source.includes('m') ? 'm' : ''));
-      console.log(`EBITDA match: "${match[0]}" -> ${data.profitability.ebitda}`);
-      break;
-    }
+  const margin = extractField(text, TEXT_FIELD_PATTERNS.ebitdaMargin, toPercent);
+  if (margin) {
+    data.profitability.margin = margin.value;
+    data.provenance.ebitdaMargin = margin;
   }
   
-  // Extract patient data
-  const patientPatterns = [
-    /([0-9,]+)\s*patients/i,
-    /patient.*base[:\s]*([0-9,]+)/i,
-    /active.*patients[:\s]*([0-9,]+)/i
-  ];
+  const patients = extractField(text, TEXT_FIELD_PATTERNS.activePatients, match => ({ value: parseInt(match[1].replace(/,/g, '')) }));
+  if (patients) {
+    data.patients.active = patients.value;
+    data.provenance.activePatients = patients;
+  }
   
-  for (const pattern of patientPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      data.patients.active = parseInt(match[1].replace(/,/g, ''));
-      break;
-    }
+  const location = extractField(text, TEXT_FIELD_PATTERNS.location, toMarket);
+  if (location) {
+    data.location = location.value;
+    data.provenance.location = location;
   }
   
-  // Extract location
-  const locationPatterns = [
-    /location[:\s]*([A-Za-z\s]+)/i,
-    /(manhattan|beverly hills|san francisco|miami|boston|dallas|atlanta|phoenix)/i,
-    /([A-Za-z]+),\s*[A-Z]{2}/
-  ];
+  const report = extractStatementLines(text, data, toAmount);
+  report.incomeStatement.revenue = data.revenue.total;
+  report.incomeStatement.ebitda = data.profitability.ebitda;
+  const { incomeStatement, balanceSheet } = completeFinancialReport(report);
+  data.incomeStatement = incomeStatement;
+  data.balanceSheet = balanceSheet;
   
-  for (const pattern of locationPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      data.location = normalizeLocation(match[1]);
-      break;
-    }
+  // EBITDA derived from revenue, COGS and operating expenses when not stated outright
+  if (data.profitability.ebitda === undefined && incomeStatement.ebitda !== undefined) {
+    data.profitability.ebitda = incomeStatement.ebitda;
   }
   
+  data.serviceSignals = extractServiceSignals(text);
+  
+  data.warnings = Object.entries(data.provenance)
+    .flatMap(([field, extraction]) => extraction.warnings.map(warning => `${field}: ${warning}`));
+  
   return data;
 }
 
-function parseStructuredData(data) {
+// Run every pattern for a field, keep the most trusted candidate and record the rest
+function extractField(text, patterns, convert) {
+  const candidates = [];
+  
+  patterns.forEach(({ name, pattern, confidence, convert: patternConvert }) => {
+    const globalPattern = new RegExp(pattern.source, pattern.flags + 'g');
+    for (const match of text.matchAll(globalPattern)) {
+      const converted = (patternConvert || convert)(match);
+      if (!converted || converted.value === undefined || Number.isNaN(converted.value)) continue;
+      candidates.push({
+        value: converted.value,
+        source: match[0].trim(),
+        span: [match.index, match.index + match[0].length],
+        pattern: name,
+        // Unit-less or contradictory amounts are kept but not trusted
+        confidence: converted.ambiguous ? confidence - 0.3 : confidence,
+        warnings: converted.warnings || []
+      });
+    }
+  });
+  
+  if (candidates.length === 0) return null;
+  
+  // Stable sort: ties keep pattern priority order
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  const best = candidates[0];
+  const conflicts = candidates.filter(c => c.value !== best.value);
+  const corroborated = candidates.some(c => c !== best && c.value === best.value && !spansOverlap(c.span, best.span));
+  
+  let confidence = best.confidence;
+  if (conflicts.length > 0) confidence -= 0.2;
+  if (corroborated) confidence += 0.05;
+  
+  return {
+    ...best,
+    confidence: Math.max(0.05, Math.min(0.99, confidence)),
+    conflicts
+  };
+}
+
+function spansOverlap(a, b) {
+  return a[0] < b[1] && b[0] < a[1];
+}
+
+function detectLocation(text) {
+  const location = extractField(text, TEXT_FIELD_PATTERNS.location, toMarket);
+  return location ? location.value : null;
+}
+
+function toMarket(match) {
+  const market = lookupMarket(match[1]);
+  return {
+    value: market.key,
+    warnings: market.matchedBy === 'default' ?
+      [`"${match[1].trim()}" not in market table - using ${market.name}`] : []
+  };
+}
+
+// Labels capture up to four words ("Dallas with"), so try the longest prefix the table knows
+function toLabelledMarket(match) {
+  const words = match[1].trim().split(/\s+/);
+  for (let count = words.length; count > 0; count--) {
+    const market = lookupMarket(words.slice(0, count).join(' '));
+    if (market.matchedBy !== 'default') return { value: market.key, warnings: [] };
+  }
+  return toMarket(match);
+}
+
+function toZipMarket(match) {
+  const market = lookupMarket(match[1]);
+  return market.matchedBy === 'zip' ? { value: market.key, warnings: [] } : null;
+}
+
+// Operating signals that hint at the service-line mix
+const SERVICE_SIGNAL_PATTERNS = {
+  'treatments.injectables': /([0-9][0-9,]*)\s+(?:injectable|botox|neurotoxin|tox|filler)\s+(?:treatments|procedures|visits|syringes)/i,
+  'treatments.lasers': /([0-9][0-9,]*)\s+(?:laser|ipl|hair removal)\s+(?:treatments|procedures|sessions)/i,
+  'treatments.skincare': /([0-9][0-9,]*)\s+(?:facials|hydrafacials|peels|skin\s?care\s+(?:treatments|sessions))/i,
+  members: /([0-9][0-9,]*)\s+(?:active\s+)?(?:members|membership holders|memberships)\b/i,
+  'providers.injectors': /([0-9]+)\s+(?:rn\s+|nurse\s+|np\s+)?injectors?\b/i,
+  'providers.laserTechs': /([0-9]+)\s+laser\s+tech(?:nician)?s?\b/i,
+  'providers.estheticians': /([0-9]+)\s+(?:medical\s+)?a?estheticians?\b/i,
+  laserDevices: /([0-9]+)\s+(?:laser|ipl)\s+(?:devices|machines|platforms|systems)/i,
+  rooms: /([0-9]+)\s+(?:treatment\s+|procedure\s+)?rooms\b/i
+};
+
+const LASER_DEVICE_PATTERN = /\b(coolsculpting|fraxel|halo|bbl|moxi|picosure|picoway|clear\s*\+?\s*brilliant|gentlemax|sciton|morpheus8|ipl|co2 laser)\b/gi;
+
+function extractServiceSignals(text) {
+  const signals = { treatments: {}, providers: {} };
+  Object.entries(SERVICE_SIGNAL_PATTERNS).forEach(([path, pattern]) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    const value = parseInt(match[1].replace(/,/g, ''), 10);
+    const [group, key] = path.split('.');
+    if (key) signals[group][key] = value;
+    else signals[group] = value;
+  });
+  
+  // Named devices count when no explicit device total is given
+  const named = new Set((text.match(LASER_DEVICE_PATTERN) || []).map(name => name.toLowerCase().replace(/\s+/g, ' ')));
+  if (!signals.laserDevices && named.size > 0) signals.laserDevices = named.size;
+  return signals;
+}
+
+function structuredServiceSignals(data) {
+  const equipment = Array.isArray(data.equipment) ? data.equipment : [];
+  const namedDevices = equipment.filter(item => typeof item === 'string' && item.match(LASER_DEVICE_PATTERN)).length;
+  return {
+    treatments: {
+      injectables: data.treatments?.injectables ?? data.injectableTreatments,
+      lasers: data.treatments?.lasers ?? data.laserTreatments,
+      skincare: data.treatments?.skincare ?? data.skincareTreatments
+    },
+    members: data.members ?? data.membershipCount,
+    providers: {
+      injectors: data.providers?.injectors ?? data.injectors,
+      laserTechs: data.providers?.laserTechs ?? data.laserTechs,
+      estheticians: data.providers?.estheticians ?? data.estheticians
+    },
+    laserDevices: data.laserDevices ?? (namedDevices || undefined),
+    rooms: data.rooms ?? data.treatmentRooms
+  };
+}
+
+// Fields extracted below the confidence threshold, or with disagreeing candidates
+function lowConfidenceFields(parsedData) {
+  return Object.entries(parsedData.provenance || {})
+    .filter(([, field]) => field.confidence < LOW_CONFIDENCE_THRESHOLD || field.conflicts.length > 0)
+    .map(([name, field]) => ({ name, ...field }));
+}
+
+function parseStructuredData(data, logger = defaultLogger) {
   // Handle JSON or object input
   if (typeof data === 'string') {
     try {
       data = JSON.parse(data);
     } catch (e) {
-      console.warn('Failed to parse JSON, treating as text');
-      return parseTextData(data);
+      logger.warn('Failed to parse JSON, treating as text', { stage: 'parse' });
+      return parseTextData(data, logger);
     }
   }
   
+  const { incomeStatement, balanceSheet } = completeFinancialReport({
+    incomeStatement: {
+      revenue: data.revenue || data.totalRevenue,
+      costOfGoodsSold: data.costOfGoodsSold ?? data.cogs,
+      operatingExpenses: data.operatingExpenses ?? data.opex,
+      ebitda: data.ebitda,
+      depreciation: data.depreciation,
+      interestExpense: data.interestExpense,
+      taxes: data.taxes,
+      netIncome: data.netIncome,
+      ...(data.incomeStatement || {})
+    },
+    balanceSheet: {
+      cash: data.cash,
+      currentAssets: data.currentAssets,
+      fixedAssets: data.fixedAssets,
+      totalAssets: data.totalAssets,
+      currentLiabilities: data.currentLiabilities,
+      shortTermDebt: data.shortTermDebt,
+      longTermDebt: data.longTermDebt,
+      capitalLeases: data.capitalLeases,
+      deferredRevenue: data.deferredRevenue,
+      prepaidPackages: data.prepaidPackages,
+      deferredMemberships: data.deferredMemberships,
+      totalLiabilities: data.totalLiabilities,
+      equity: data.equity,
+      ...(data.balanceSheet || {})
+    }
+  });
+  
   return {
     revenue: {
-      total: data.revenue || data.totalRevenue || 0,
+      total: incomeStatement.revenue || 0,
       injectables: data.injectables || 0,
       lasers: data.lasers || 0,
       skincare: data.skincare || 0,
@@ -119,139 +499,653 @@ function parseStructuredData(data) {
       retail: data.retail || 0
     },
     profitability: {
-      ebitda: data.ebitda || 0,
-      margin: data.ebitdaMargin || (data.ebitda / data.revenue)
+      ebitda: incomeStatement.ebitda || 0,
+      margin: data.ebitdaMargin || (incomeStatement.ebitda / incomeStatement.revenue)
     },
     patients: {
       active: data.activePatients || data.patients || 0,
       newPerYear: data.newPatients || 0,
-      churnRate: data.churnRate || 0.25
+      churnRate: data.churnRate || null
     },
-    location: data.location || 'suburban_standard',
+    operations: {
+      locations: data.locations || null,
+      growthRate: data.growthRate ?? null
+    },
+    location: normalizeLocation(data.location || 'suburban_standard'),
     marketContext: {
       competition: data.competition || 'moderate',
       maturity: data.marketMaturity || 'mature'
-    }
+    },
+    serviceSignals: structuredServiceSignals(data),
+    adjustments: data.adjustments || [],
+    incomeStatement,
+    balanceSheet
   };
 }
 
-function parseNumberWithUnits(str) {
-  const cleaned = str.replace(/,/g, '').replace(/\$/g, '');
-  const num = parseFloat(cleaned);
+// Multi-period P&L: several fiscal years as a text table or structured array
+function parseMultiPeriodData(input, logger = defaultLogger) {
+  let source = input;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (e) {
+      source = null;
+    }
+  }
   
-  // Handle M (millions) and K (thousands) suffixes
-  if (str.toLowerCase().includes('m')) {
-    return num * 1000000;
-  } else if (str.toLowerCase().includes('k')) {
-    return num * 1000;
+  let periods;
+  let context = {};
+  const warnings = [];
+  if (Array.isArray(source)) {
+    periods = source.map(normalizePeriod);
+  } else if (source && Array.isArray(source.periods)) {
+    periods = source.periods.map(normalizePeriod);
+    context = source;
+  } else {
+    periods = parseMultiPeriodText(input, warnings);
   }
   
-  // If number is already large (>= 100,000), use as-is
-  if (num >= 100000) {
-    return num;
+  periods = periods
+    .filter(period => period.year && period.revenue)
+    .sort((a, b) => a.year - b.year);
+  
+  logger.debug(`Fiscal years found: ${periods.map(p => p.year).join(', ') || 'none'}`, { years: periods.map(p => p.year) });
+  
+  const latest = periods[periods.length - 1] || {};
+  const history = analyzeHistoricalPerformance(periods);
+  
+  return {
+    revenue: {
+      total: latest.revenue || 0,
+      ...(latest.revenueBreakdown || {})
+    },
+    profitability: {
+      ebitda: latest.ebitda || 0,
+      margin: latest.ebitda && latest.revenue ? latest.ebitda / latest.revenue : undefined
+    },
+    operations: {},
+    patients: {
+      active: latest.activePatients || context.activePatients || undefined
+    },
+    location: context.location ? normalizeLocation(context.location) :
+              typeof input === 'string' ? detectLocation(input) : null,
+    marketContext: {},
+    history,
+    warnings
+  };
+}
+
+function normalizePeriod(period) {
+  const year = parseInt(String(period.year || period.fiscalYear || period.fy || '').replace(/^FY/i, ''));
+  const { injectables, lasers, skincare, memberships, retail } = period;
+  const breakdown = { injectables, lasers, skincare, memberships, retail };
+  Object.keys(breakdown).forEach(key => breakdown[key] === undefined && delete breakdown[key]);
+  
+  return {
+    year,
+    revenue: period.revenue || period.totalRevenue || 0,
+    ebitda: period.ebitda || 0,
+    activePatients: period.activePatients || period.patients,
+    revenueBreakdown: Object.keys(breakdown).length ? breakdown : undefined
+  };
+}
+
+function parseMultiPeriodText(text, warnings = []) {
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+  const yearPattern = /\b(?:FY\s?)?((?:19|20)\d{2})\b/gi;
+  
+  // Table layout: a header row of years, then one row per line item
+  const headerIndex = lines.findIndex(line => (line.match(yearPattern) || []).length >= 2);
+  if (headerIndex !== -1) {
+    const years = [...lines[headerIndex].matchAll(yearPattern)].map(m => parseInt(m[1]));
+    const periods = years.map(year => ({ year }));
+    
+    lines.slice(headerIndex + 1).forEach(line => {
+      const label = line.toLowerCase();
+      // "Cost of sales" / "cost of revenue" rows are expenses, not revenue
+      const field = /\bcost\s+of\b/.test(label) ? null :
+                    /ebitda|operating income/.test(label) ? 'ebitda' :
+                    /revenue|sales/.test(label) ? 'revenue' :
+                    /patients/.test(label) ? 'activePatients' : null;
+      if (!field) return;
+      
+      const values = line.match(new RegExp(AMOUNT_TOKEN, 'gi')) || [];
+      values.slice(-years.length).forEach((value, i) => {
+        if (periods[i][field] !== undefined) return;
+        const amount = parseAmount(value, { expect: field === 'activePatients' ? null : 'currency' });
+        if (!amount) return;
+        amount.warnings.forEach(warning => warnings.push(`FY${years[i]} ${field}: ${warning}`));
+        periods[i][field] = amount.value;
+      });
+    });
+    
+    return periods;
   }
   
-  // If number is small, assume it's in millions for revenue/EBITDA
-  if (num < 100 && num > 0.1) {
-    return num * 1000000;
+  // Line layout: "FY2022: $2.0M revenue, $450K EBITDA"
+  return lines
+    .filter(line => line.match(yearPattern))
+    .map(line => {
+      const year = parseInt([...line.matchAll(yearPattern)][0][1]);
+      const parsed = parseTextData(line.replace(yearPattern, ''));
+      parsed.warnings.forEach(warning => warnings.push(`FY${year} ${warning}`));
+      return {
+        year,
+        revenue: parsed.revenue.total,
+        ebitda: parsed.profitability.ebitda,
+        activePatients: parsed.patients.active
+      };
+    });
+}
+
+// Historical growth, margin trend and volatility across fiscal years
+function analyzeHistoricalPerformance(periods) {
+  const margins = periods.map(p => (p.ebitda && p.revenue ? p.ebitda / p.revenue : null));
+  const revenueGrowth = periods.slice(1).map((p, i) => p.revenue / periods[i].revenue - 1);
+  const spanYears = periods.length > 1 ? periods[periods.length - 1].year - periods[0].year : 0;
+  
+  const revenueCAGR = spanYears > 0 ?
+    Math.pow(periods[periods.length - 1].revenue / periods[0].revenue, 1 / spanYears) - 1 : null;
+  
+  const knownMargins = periods
+    .map((p, i) => ({ year: p.year, margin: margins[i] }))
+    .filter(m => m.margin !== null);
+  const marginSlope = linearSlope(knownMargins.map(m => m.year), knownMargins.map(m => m.margin));
+  
+  return {
+    periods,
+    years: periods.length,
+    revenueGrowth,
+    revenueCAGR,
+    averageGrowth: revenueGrowth.length ? mean(revenueGrowth) : null,
+    growthVolatility: revenueGrowth.length > 1 ? standardDeviation(revenueGrowth) : null,
+    margins,
+    averageMargin: knownMargins.length ? mean(knownMargins.map(m => m.margin)) : null,
+    marginTrend: {
+      slope: marginSlope, // Change in EBITDA margin per year
+      direction: marginSlope === null ? 'unknown' :
+                 marginSlope > 0.005 ? 'expanding' :
+                 marginSlope < -0.005 ? 'contracting' : 'stable'
+    },
+    marginVolatility: knownMargins.length > 1 ? standardDeviation(knownMargins.map(m => m.margin)) : null
+  };
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+function linearSlope(xs, ys) {
+  if (xs.length < 2) return null;
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  const numerator = xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0);
+  const denominator = xs.reduce((sum, x) => sum + Math.pow(x - xMean, 2), 0);
+  return denominator ? numerator / denominator : null;
+}
+
+// QuickBooks / Xero P&L exports: map account names onto service lines and cost buckets
+const CSV_ACCOUNT_MAP = [
+  { category: 'revenue.injectables', pattern: /botox|dysport|xeomin|daxxify|filler|injectable|neurotoxin|juvederm|restylane|sculptra|kybella|prp/i },
+  { category: 'revenue.lasers', pattern: /laser|ipl|bbl|hair removal|resurfacing|coolsculpt|body contouring|morpheus|radiofrequency|\brf\b/i },
+  { category: 'revenue.memberships', pattern: /membership|subscription revenue|package|monthly dues/i },
+  { category: 'revenue.retail', pattern: /retail|product sales|merchandise|skincare products?/i },
+  { category: 'revenue.skincare', pattern: /facial|peel|hydrafacial|microneedling|dermaplan|skin ?care|esthetic/i },
+  { category: 'costs.cogs', pattern: /cost of goods|cogs|cost of sales|product cost|medical supplies|injectable supplies|inventory/i },
+  { category: 'costs.payroll', pattern: /payroll|wages|salar|commission|benefits|contract labor|staff|bonus/i },
+  { category: 'costs.rent', pattern: /rent|lease|occupancy|\bcam\b/i },
+  { category: 'costs.marketing', pattern: /marketing|advertising|promotion|social media|seo|lead gen/i },
+  { category: 'costs.admin', pattern: /admin|office|software|insurance|professional fees|accounting|legal|bank|merchant|utilities|telephone|dues and subscriptions|licens|repairs|travel|meals/i },
+  // Below the EBITDA line - tracked but excluded from operating costs
+  { category: 'belowEbitda.depreciation', pattern: /depreciation|amortization/i },
+  { category: 'belowEbitda.interest', pattern: /interest/i },
+  { category: 'belowEbitda.taxes', pattern: /income tax|tax expense/i }
+];
+
+function parseCsvData(csv, logger = defaultLogger) {
+  const rows = csv.split(/\r?\n/).map(splitCsvLine).filter(cells => cells.some(cell => cell !== ''));
+  
+  // Prefer an explicit "Total" column (multi-month exports), else the last numeric cell
+  const header = rows.find(cells => cells.some(cell => /^total$/i.test(cell)));
+  const totalColumn = header ? header.findIndex(cell => /^total$/i.test(cell)) : -1;
+  
+  const data = {
+    revenue: { total: 0, injectables: 0, lasers: 0, skincare: 0, memberships: 0, retail: 0, other: 0 },
+    profitability: {},
+    costs: { cogs: 0, payroll: 0, rent: 0, marketing: 0, admin: 0, other: 0 },
+    belowEbitda: { depreciation: 0, interest: 0, taxes: 0 },
+    operations: {},
+    patients: {},
+    location: null,
+    marketContext: {},
+    csvMapping: { mapped: [], unmapped: [] }
+  };
+  
+  let section = null;
+  rows.forEach((cells, index) => {
+    if (cells === header) return;
+    const account = cells[0];
+    const amount = parseCsvAmount(totalColumn !== -1 ? cells[totalColumn] : lastNumericCell(cells.slice(1)));
+    
+    if (amount === null) {
+      // Amount-less rows are section headers ("Income", "Cost of Goods Sold", "Expenses")
+      const label = account.toLowerCase();
+      if (/^(income|revenue|sales|ordinary income)/.test(label)) section = 'revenue';
+      else if (/cost of (goods|sales)|cogs/.test(label)) section = 'cogs';
+      else if (/expense/.test(label)) section = 'expense';
+      else if (/^other income/.test(label)) section = 'other';
+      return;
+    }
+    
+    // Subtotals are recomputed from the detail rows
+    if (/^total|gross profit|net (operating )?income|net profit|ebitda/i.test(account)) return;
+    
+    const rule = CSV_ACCOUNT_MAP.find(entry =>
+      entry.pattern.test(account) && sectionAllows(section, entry.category));
+    const category = rule ? rule.category : (section === 'cogs' ? 'costs.cogs' : null);
+    
+    if (!category) {
+      data.csvMapping.unmapped.push({ row: index + 1, account, amount, section });
+      // Keep unmapped amounts in the totals so EBITDA is not overstated
+      if (section === 'revenue') data.revenue.other += amount;
+      else if (section === 'expense') data.costs.other += amount;
+      return;
+    }
+    
+    const [group, key] = category.split('.');
+    data[group][key] += amount;
+    data.csvMapping.mapped.push({ row: index + 1, account, amount, category });
+  });
+  
+  const revenueLines = ['injectables', 'lasers', 'skincare', 'memberships', 'retail', 'other'];
+  data.revenue.total = revenueLines.reduce((sum, line) => sum + data.revenue[line], 0);
+  const operatingCosts = Object.values(data.costs).reduce((a, b) => a + b, 0);
+  data.profitability.ebitda = data.revenue.total - operatingCosts;
+  data.profitability.margin = data.revenue.total ? data.profitability.ebitda / data.revenue.total : undefined;
+  
+  const report = completeFinancialReport({
+    incomeStatement: {
+      revenue: data.revenue.total,
+      costOfGoodsSold: data.costs.cogs,
+      operatingExpenses: operatingCosts - data.costs.cogs,
+      ebitda: data.profitability.ebitda,
+      depreciation: data.belowEbitda.depreciation,
+      interestExpense: data.belowEbitda.interest,
+      taxes: data.belowEbitda.taxes
+    },
+    balanceSheet: {}
+  });
+  data.incomeStatement = report.incomeStatement;
+  data.balanceSheet = report.balanceSheet;
+  
+  logger.debug(`CSV rows mapped: ${data.csvMapping.mapped.length}, unmapped: ${data.csvMapping.unmapped.length}`,
+    { mapped: data.csvMapping.mapped.length, unmapped: data.csvMapping.unmapped.length });
+  return data;
+}
+
+function sectionAllows(section, category) {
+  if (section === 'revenue') return category.startsWith('revenue.');
+  if (section === 'cogs') return category === 'costs.cogs';
+  if (section === 'expense') return !category.startsWith('revenue.');
+  return true;
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function lastNumericCell(cells) {
+  const numeric = cells.filter(cell => parseCsvAmount(cell) !== null);
+  return numeric[numeric.length - 1];
+}
+
+function parseCsvAmount(cell) {
+  const amount = parseAmount(cell);
+  return amount && !amount.isPercent ? amount.value : null;
+}
+
+// Visit log (CSV export or array of visits) -> measured patient funnel and TTM revenue
+function measurePatientRecords(input, options = {}, logger = defaultLogger) {
+  let rows = input;
+  if (typeof input === 'string') {
+    const lines = input.split(/\r?\n/).map(splitCsvLine).filter(cells => cells.some(cell => cell !== ''));
+    rows = lines.length > 0 ? visitRowsFromTable(lines[0], lines.slice(1)) : [];
   }
   
-  return num;
+  const { visits, warnings } = parseVisitLog(rows);
+  const records = analyzePatientRecords(visits, options);
+  records.warnings = [...warnings, ...records.warnings];
+  
+  logger.debug(`Visit log: ${records.visitCount} visits, ${records.patientCount} patients, ${records.activePatients} active`);
+  return records;
 }
 
-function normalizeLocation(location) {
-  const locationMap = {
-    'manhattan': 'manhattan',
-    'new york': 'manhattan',
-    'nyc': 'manhattan',
-    'beverly hills': 'beverly_hills',
-    'san francisco': 'san_francisco',
-    'sf': 'san_francisco',
-    'miami': 'miami',
-    'boston': 'boston',
-    'dallas': 'dallas',
-    'atlanta': 'atlanta',
-    'phoenix': 'phoenix'
+function patientsFromRecords(records) {
+  return {
+    active: records.activePatients,
+    newPerYear: records.newPatientsPerYear,
+    churnRate: records.churnRate,
+    visitsPerYear: records.visitsPerPatientYr,
+    cac: records.cac
   };
+}
+
+function parseVisitData(input, options = {}, logger = defaultLogger) {
+  const records = measurePatientRecords(input, options, logger);
   
-  const normalized = location.toLowerCase().trim();
-  return locationMap[normalized] || 'suburban_standard';
+  return {
+    revenue: { total: records.revenue, ...records.revenueByLine },
+    profitability: {},
+    operations: {},
+    patients: patientsFromRecords(records),
+    patientRecords: records,
+    location: null,
+    marketContext: {},
+    serviceSignals: {},
+    warnings: records.warnings
+  };
+}
+
+// Measured patient fields from a visit log win over anything parsed from the financials
+function mergeVisitLog(parsedData, visitLog, options, logger = defaultLogger) {
+  // The P&L marketing line stands in for spend when the caller doesn't give one
+  const marketingSpend = options.marketingSpend || parsedData.costs?.marketing || undefined;
+  const records = measurePatientRecords(visitLog, { ...options, marketingSpend }, logger);
+  Object.entries(patientsFromRecords(records)).forEach(([field, value]) => {
+    if (value !== null && value !== undefined) parsedData.patients[field] = value;
+  });
+  parsedData.patientRecords = records;
+  parsedData.warnings = [...(parsedData.warnings || []), ...records.warnings];
+  return parsedData;
+}
+
+function normalizeLocation(location) {
+  return lookupMarket(location).key;
 }
 
 // Convert parsed data to ModelParams format
-function convertToModelParams(parsedData) {
-  console.log('🔧 CONVERTING TO MODEL PARAMETERS...');
+const DEFAULT_PRICING = {
+  injectablesASP: 575,
+  laserASP: 465,
+  skincareASP: 285,
+  membershipFee: 1150,
+  retailATV: 95
+};
+
+const DEFAULT_COSTS = {
+  cogsInjectables: 0.18,
+  cogsLasers: 0.12,
+  cogsSkincare: 0.25,
+  cogsRetail: 0.45,
+  staffCostPercent: 0.32,
+  rentPercent: 0.08,
+  marketingPercent: 0.06,
+  adminPercent: 0.05
+};
+
+function convertToModelParams(parsedData, logger = defaultLogger) {
+  logger.info('🔧 CONVERTING TO MODEL PARAMETERS...', { stage: 'modelParams' });
   
   const totalRevenue = parsedData.revenue.total || 3500000;
   
-  // Estimate revenue breakdown if not provided
-  const revenueBreakdown = {
-    injectables: parsedData.revenue.injectables || (totalRevenue * 0.55),
-    lasers: parsedData.revenue.lasers || (totalRevenue * 0.20),
-    skincare: parsedData.revenue.skincare || (totalRevenue * 0.12),
-    memberships: parsedData.revenue.memberships || (totalRevenue * 0.08),
-    retail: parsedData.revenue.retail || (totalRevenue * 0.05)
-  };
+  // Reported lines win; the rest of revenue is split by the estimated mix
+  const revenueBreakdown = (parsedData.csvMapping && itemizedRevenueBreakdown(parsedData.revenue)) ||
+    estimatedRevenueBreakdown(parsedData, totalRevenue);
+  
+  const marketTable = loadMarketTable();
+  const market = getMarket(parsedData.location || marketTable.defaultMarket, marketTable);
+  const activePatients = parsedData.patients.active || 3500;
+  const churnRate = parsedData.patients.churnRate ?? 0.25;
+  
+  // Trailing P&Ls replace the default growth profile
+  const growth = deriveGrowthAssumptions(parsedData.history);
+  
+  const pricing = { ...DEFAULT_PRICING, ...measuredPricing(parsedData.patientRecords) };
+  
+  // Reported EBITDA (or margin) after add-backs; null leaves projections to assume a margin
+  const reportedEBITDA = parsedData.profitability?.ebitda ||
+    (parsedData.profitability?.margin ? totalRevenue * parsedData.profitability.margin : null);
   
   const params = {
     baseYearRevenueBreakdown: revenueBreakdown,
+    baseYearEBITDA: reportedEBITDA ?
+      buildEbitdaBridge(reportedEBITDA, parsedData.adjustments || []).normalizedEbitda : null,
     patients: {
-      activePatients: parsedData.patients.active || 3500,
-      newPatientsPerYear: parsedData.patients.newPerYear || Math.round(parsedData.patients.active * 0.34),
-      churnRate: parsedData.patients.churnRate || 0.25,
-      visitsPerPatientYr: 1.9,
-      cac: 385
-    },
-    pricing: {
-      injectablesASP: 575,
-      laserASP: 465,
-      skincareASP: 285,
-      membershipFee: 1150,
-      retailATV: 95
+      activePatients,
+      newPatientsPerYear: parsedData.patients.newPerYear || null, // Derived below when not reported
+      churnRate,
+      visitsPerPatientYr: parsedData.patients.visitsPerYear || 1.9,
+      cac: parsedData.patients.cac || 385
     },
+    pricing,
     volume: {
       injectableTreatmentsPerVisit: 1.2,
       laserTreatmentsPerVisit: 0.3,
       skincareTreatmentsPerVisit: 0.8,
       retailPurchaseRate: 0.35
     },
-    costs: {
-      cogsInjectables: 0.18,
-      cogsLasers: 0.12,
-      cogsSkincare: 0.25,
-      cogsRetail: 0.45,
-      staffCostPercent: 0.32,
-      rentPercent: 0.08,
-      marketingPercent: 0.06,
-      adminPercent: 0.05
-    },
-    growth: {
-      newPatients: 0.08,
-      pricing: 0.04,
-      frequency: 0.02,
-      churnImprovement: -0.01
-    },
+    costs: measuredCostStructure(parsedData.costs, revenueBreakdown, DEFAULT_COSTS),
+    capacity: buildCapacityParams(parsedData.serviceSignals),
+    growth,
     capex: {
       maintenancePercent: 0.02,
+      depreciationPercent: 0.03,
+      fixedAssetPercent: 0.35,
       growthCapexYear1: 150000,
       growthCapexGrowth: 0.05
     },
+    workingCapital: {
+      nwcPercent: 0.05,
+      peg: null // Normalized NWC target; defaults to nwcPercent of revenue
+    },
+    tax: {
+      rate: 0.26
+    },
     discount: {
-      wacc: 0.12
+      wacc: null, // Derived below from the market adjustment
+      marketAdjustment: market.waccAdjustment
     },
     exit: {
       exitYear: 5,
-      exitMultipleEBITDA: 8.2
+      exitMultipleEBITDA: marketTable.baseMultiple
     }
   };
   
-  console.log('✅ Model parameters generated');
+  if (parsedData.history) {
+    params.historical = {
+      years: parsedData.history.years,
+      revenueCAGR: parsedData.history.revenueCAGR,
+      growthVolatility: parsedData.history.growthVolatility,
+      averageMargin: parsedData.history.averageMargin,
+      marginTrend: parsedData.history.marginTrend.direction
+    };
+  }
+  
+  deriveDependentParams(params, parsedData);
+  logger.info('✅ Model parameters generated', { stage: 'modelParams' });
   return params;
 }
 
+// Parameters computed from other parameters. Re-run after overrides so an overridden input
+// (e.g. activePatients, marketAdjustment) flows through; paths in `locked` are left alone.
+function deriveDependentParams(params, parsedData, locked = new Set()) {
+  const { patients, growth } = params;
+  if (!locked.has('patients.newPatientsPerYear') && !parsedData.patients.newPerYear) {
+    patients.newPatientsPerYear = parsedData.history?.revenueCAGR != null ?
+      Math.round(patients.activePatients * (patients.churnRate + growth.newPatients)) :
+      Math.round(patients.activePatients * 0.34);
+  }
+  if (!locked.has('discount.wacc')) {
+    params.discount.wacc = Math.round((loadMarketTable().baseWacc + params.discount.marketAdjustment) * 10000) / 10000;
+  }
+  return params;
+}
+
+// Visit-log ASPs replace the default ticket prices where the line was billed
+const ASP_FIELDS = { injectables: 'injectablesASP', lasers: 'laserASP', skincare: 'skincareASP' };
+
+function measuredPricing(records) {
+  const pricing = {};
+  if (!records) return pricing;
+  Object.entries(ASP_FIELDS).forEach(([line, field]) => {
+    if (records.aspByService[line]) pricing[field] = records.aspByService[line];
+  });
+  return pricing;
+}
+
+// Which ModelParams leaves were measured from the parsed data; the rest are defaults
+function assumptionSources(parsedData, params) {
+  const sources = {};
+  Object.keys(flattenPaths(params)).forEach(path => { sources[path] = 'default'; });
+  const fromData = (path, measured) => {
+    if (measured && path in sources) sources[path] = 'data';
+  };
+  
+  const itemized = Boolean(parsedData.csvMapping && itemizedRevenueBreakdown(parsedData.revenue));
+  const mixFromSignals = revenueMixEstimate(parsedData)?.method === 'signals';
+  Object.keys(params.baseYearRevenueBreakdown).forEach(line => {
+    fromData(`baseYearRevenueBreakdown.${line}`, itemized || mixFromSignals || parsedData.revenue[line]);
+  });
+  
+  const hasHistory = parsedData.history?.revenueCAGR != null;
+  fromData('baseYearEBITDA', params.baseYearEBITDA !== null);
+  fromData('patients.activePatients', parsedData.patients.active);
+  fromData('patients.churnRate', parsedData.patients.churnRate != null);
+  fromData('patients.newPatientsPerYear', parsedData.patients.newPerYear || hasHistory);
+  fromData('patients.visitsPerPatientYr', parsedData.patients.visitsPerYear);
+  fromData('patients.cac', parsedData.patients.cac);
+  Object.keys(measuredPricing(parsedData.patientRecords)).forEach(field => fromData(`pricing.${field}`, true));
+  Object.values(PROVIDER_ROLES).forEach(role => fromData(`capacity.${role}`, parsedData.serviceSignals?.providers?.[role] > 0));
+  fromData('capacity.rooms', parsedData.serviceSignals?.rooms > 0);
+  Object.keys(params.growth).forEach(key => fromData(`growth.${key}`, hasHistory));
+  
+  // measuredCostStructure only replaces a default when the P&L itemizes that cost
+  if (parsedData.costs) {
+    Object.keys(params.costs).forEach(key => fromData(`costs.${key}`, params.costs[key] !== DEFAULT_COSTS[key]));
+  }
+  
+  // Location-driven WACC adjustment comes from the market table
+  fromData('discount.marketAdjustment', parsedData.location);
+  return sources;
+}
+
+// Mix inferred from service signals and market tier; null when every line is reported
+function revenueMixEstimate(parsedData) {
+  if (parsedData.csvMapping && itemizedRevenueBreakdown(parsedData.revenue)) return null;
+  if (Object.keys(DEFAULT_MIX).every(line => parsedData.revenue[line] > 0)) return null;
+  
+  return estimateRevenueMix(parsedData.serviceSignals, {
+    revenue: parsedData.revenue.total,
+    tier: getMarket(parsedData.location || loadMarketTable().defaultMarket).tier,
+    pricing: DEFAULT_PRICING
+  });
+}
+
+function estimatedRevenueBreakdown(parsedData, totalRevenue, shares = null) {
+  const lines = Object.keys(DEFAULT_MIX);
+  const mix = shares || (revenueMixEstimate(parsedData) || { shares: DEFAULT_MIX }).shares;
+  const reported = lines.filter(line => parsedData.revenue[line] > 0);
+  const unreported = lines.filter(line => !reported.includes(line));
+  
+  const remaining = Math.max(0, totalRevenue - reported.reduce((sum, line) => sum + parsedData.revenue[line], 0));
+  const unreportedShare = unreported.reduce((sum, line) => sum + mix[line], 0);
+  
+  const breakdown = {};
+  lines.forEach(line => {
+    breakdown[line] = reported.includes(line) ?
+      parsedData.revenue[line] :
+      (unreportedShare > 0 ? remaining * mix[line] / unreportedShare : 0);
+  });
+  return breakdown;
+}
+
+// Itemized exports report every line; unmapped revenue is spread pro rata
+function itemizedRevenueBreakdown(revenue) {
+  const lines = ['injectables', 'lasers', 'skincare', 'memberships', 'retail'];
+  const mapped = lines.reduce((sum, line) => sum + (revenue[line] || 0), 0);
+  if (mapped <= 0) return null;
+  
+  const gross = revenue.total / mapped;
+  const breakdown = {};
+  lines.forEach(line => {
+    breakdown[line] = (revenue[line] || 0) * gross;
+  });
+  return breakdown;
+}
+
+// Replace default cost ratios with those measured from an itemized P&L
+function measuredCostStructure(costs, revenueBreakdown, defaults) {
+  const revenue = Object.values(revenueBreakdown).reduce((a, b) => a + b, 0);
+  if (!costs || revenue <= 0) return defaults;
+  
+  const measured = { ...defaults };
+  if (costs.payroll) measured.staffCostPercent = costs.payroll / revenue;
+  if (costs.rent) measured.rentPercent = costs.rent / revenue;
+  if (costs.marketing) measured.marketingPercent = costs.marketing / revenue;
+  if (costs.admin || costs.other) measured.adminPercent = ((costs.admin || 0) + (costs.other || 0)) / revenue;
+  
+  // Only total COGS is reported: scale the per-line rates to the measured blend
+  if (costs.cogs) {
+    const modeledCogs = revenueBreakdown.injectables * defaults.cogsInjectables +
+                        revenueBreakdown.lasers * defaults.cogsLasers +
+                        revenueBreakdown.skincare * defaults.cogsSkincare +
+                        revenueBreakdown.retail * defaults.cogsRetail;
+    const scale = modeledCogs > 0 ? costs.cogs / modeledCogs : 1;
+    ['cogsInjectables', 'cogsLasers', 'cogsSkincare', 'cogsRetail'].forEach(key => {
+      measured[key] = defaults[key] * scale;
+    });
+  }
+  
+  return measured;
+}
+
+// Split historical revenue CAGR into patient growth on top of pricing and frequency
+function deriveGrowthAssumptions(history) {
+  const growth = {
+    newPatients: 0.08,
+    pricing: 0.04,
+    frequency: 0.02,
+    churnImprovement: -0.01
+  };
+  
+  if (history?.revenueCAGR != null) {
+    const patientGrowth = history.revenueCAGR - growth.pricing - growth.frequency;
+    growth.newPatients = Math.max(-0.10, Math.min(0.30, patientGrowth));
+  }
+  
+  return growth;
+}
+
 // Validation functions
-function validateData(parsedData) {
-  console.log('🔍 VALIDATING DATA QUALITY...');
+function validateData(parsedData, logger = defaultLogger) {
+  logger.info('🔍 VALIDATING DATA QUALITY...', { stage: 'validate' });
   
   const issues = [];
   
@@ -274,91 +1168,217 @@ function validateData(parsedData) {
     issues.push('Location not specified - using suburban standard');
   }
   
+  if (parsedData.csvMapping && parsedData.csvMapping.unmapped.length > 0) {
+    const accounts = parsedData.csvMapping.unmapped.map(row => `"${row.account}" (row ${row.row})`);
+    issues.push(`${accounts.length} CSV row(s) could not be mapped: ${accounts.join(', ')}`);
+  }
+  
+  (parsedData.warnings || []).forEach(warning => issues.push(warning));
+  
+  lowConfidenceFields(parsedData).forEach(field => {
+    const conflict = field.conflicts.length > 0 ?
+      ` - conflicts with ${field.conflicts.map(c => `"${c.source}"`).join(', ')}` : '';
+    issues.push(`Low-confidence ${field.name} (${(field.confidence * 100).toFixed(0)}%): "${field.source}" via ${field.pattern}${conflict}`);
+  });
+  
+  if (parsedData.adjustments && parsedData.adjustments.length > 0) {
+    const unsourced = parsedData.adjustments.filter(adj => !adj.source);
+    if (unsourced.length > 0) {
+      issues.push(`${unsourced.length} EBITDA adjustment(s) without a source document`);
+    }
+  }
+  
+  if (parsedData.history) {
+    const history = parsedData.history;
+    if (history.years < 3) {
+      issues.push(`Only ${history.years} fiscal year(s) provided - 3+ recommended for trend analysis`);
+    }
+    if (history.growthVolatility !== null && history.growthVolatility > 0.15) {
+      issues.push(`Revenue growth volatility ${(history.growthVolatility * 100).toFixed(1)}% - historical trend may not be representative`);
+    }
+    if (history.marginTrend.direction === 'contracting') {
+      issues.push(`EBITDA margin contracting ${(Math.abs(history.marginTrend.slope) * 100).toFixed(1)} pts per year`);
+    }
+  }
+  
   if (issues.length === 0) {
-    console.log('✅ Data validation passed');
+    logger.info('✅ Data validation passed', { stage: 'validate' });
   } else {
-    console.log('⚠️ Validation issues found:');
-    issues.forEach(issue => console.log(`  • ${issue}`));
+    logger.warn('⚠️ Validation issues found:', { stage: 'validate', count: issues.length });
+    issues.forEach(issue => logger.warn(`  • ${issue}`, { stage: 'validate', issue }));
   }
   
   return issues;
 }
 
 // Enhanced DCF execution wrapper with growth sensitivity
-function executeAnalysis(modelParams, location = 'suburban_standard', parsedData = {}) {
-  console.log('🚀 EXECUTING DCF ANALYSIS...');
-  console.log(`Location: ${location}`);
+function executeAnalysis(modelParams, location = 'suburban_standard', parsedData = {}, logger = defaultLogger) {
+  logger.info('🚀 EXECUTING DCF ANALYSIS...', { stage: 'analysis', location });
+  logger.debug(`Location: ${location}`);
   
   // Use actual parsed data when available, otherwise use model estimates
   const totalRevenue = parsedData.revenue?.total || 
                       Object.values(modelParams.baseYearRevenueBreakdown).reduce((a, b) => a + b, 0);
-  const estimatedEBITDA = parsedData.profitability?.ebitda || (totalRevenue * 0.25);
   
-  // Generate growth scenarios for sensitivity analysis
-  const growthScenarios = generateGrowthScenarios(totalRevenue, estimatedEBITDA);
-  
-  // Apply location multipliers from validated platform
-  const locationMultipliers = {
-    manhattan: 1.15,
-    beverly_hills: 1.32,
-    san_francisco: 1.20,
-    miami: 1.08,
-    boston: 1.12,
-    dallas: 1.05,
-    atlanta: 0.95,
-    phoenix: 0.85,
-    suburban_standard: 1.00
+  // Without reported EBITDA, the industry margin is shifted by the mix's gross margin
+  const mixEstimate = parsedData.revenue ? revenueMixEstimate(parsedData) : null;
+  const margins = lineMargins(modelParams.costs);
+  const ebitdaReported = Boolean(parsedData.profitability?.ebitda || parsedData.profitability?.margin);
+  const reportedFor = (shares) => parsedData.profitability?.ebitda ||
+    (totalRevenue * (parsedData.profitability?.margin ||
+      (0.25 + blendedMargin(shares, margins) - blendedMargin(DEFAULT_MIX, margins))));
+  
+  // Add-backs bridge reported EBITDA to the normalized figure, valued at the enhanced multiple
+  const valueAt = (reported) => {
+    const bridge = buildEbitdaBridge(reported, parsedData.adjustments || []);
+    const ebitda = bridge.normalizedEbitda;
+    // Multi-factor multiple: location, size, efficiency, growth, business model, market context
+    const build = calculateEnhancedMultiple({
+      location,
+      ebitda,
+      ebitdaMargin: totalRevenue > 0 ? ebitda / totalRevenue : null,
+      growth: parsedData.history?.revenueCAGR ?? parsedData.operations?.growthRate,
+      locations: parsedData.operations?.locations,
+      maturity: parsedData.marketContext?.maturity,
+      competition: parsedData.marketContext?.competition
+    });
+    return { bridge, ebitda, build, enterpriseValue: ebitda * build.multiple };
   };
   
-  const baseMultiple = 8.2;
-  const locationMultiplier = locationMultipliers[location] || 1.0;
-  const enhancedMultiple = baseMultiple * locationMultiplier;
-  const enterpriseValue = estimatedEBITDA * enhancedMultiple;
+  const base = valueAt(reportedFor(mixEstimate ? mixEstimate.shares : DEFAULT_MIX));
+  const reportedEBITDA = base.bridge.reportedEbitda;
+  const ebitdaBridge = base.bridge;
+  const estimatedEBITDA = base.ebitda;
+  const multipleBuild = base.build;
+  
+  // Generate growth scenarios for sensitivity analysis
+  const growthScenarios = generateGrowthScenarios(totalRevenue, estimatedEBITDA, parsedData.history);
+  
+  const market = getMarket(location);
+  const locationMultiplier = market.multiplier;
+  const enhancedMultiple = multipleBuild.multiple;
+  const enterpriseValue = base.enterpriseValue;
+  
+  // Bridge to equity: net debt, debt-like deferred revenue and NWC true-up
+  const equityBridge = buildEquityBridge(enterpriseValue, parsedData.balanceSheet || {}, {
+    revenue: totalRevenue,
+    nwcPercent: modelParams.workingCapital?.nwcPercent,
+    nwcPeg: modelParams.workingCapital?.peg ?? undefined
+  });
+  
+  // Earnings power value alongside the multiple-based value
+  const epv = calculateEPV(modelParams, {
+    revenue: totalRevenue,
+    ebitda: estimatedEBITDA,
+    depreciation: parsedData.incomeStatement?.depreciation || parsedData.belowEbitda?.depreciation || undefined,
+    fixedAssets: parsedData.balanceSheet?.fixedAssets
+  });
+  
+  // Year-by-year DCF driven by the full ModelParams
+  const dcf = runDCFProjection(modelParams, { baseEBITDA: modelParams.baseYearEBITDA ?? estimatedEBITDA });
+  
+  // Hires and room build-outs each growth scenario needs by the exit year
+  Object.values(growthScenarios).forEach(scenario => {
+    const volumeGrowth = (1 + scenario.patientGrowth) * (1 + modelParams.growth.frequency) - 1;
+    scenario.capacityNeeds = growthRequirements(modelParams, volumeGrowth);
+  });
+  
+  // LTV, CAC payback and cohort contribution from the same patient drivers
+  const unitEconomics = calculateUnitEconomics(modelParams);
+  
+  // Mix uncertainty: revalue at the least and most profitable splits in range
+  let revenueMix = null;
+  if (mixEstimate) {
+    const scenarios = mixScenarios(mixEstimate, margins);
+    const valueMix = (shares) => {
+      const value = ebitdaReported ? base : valueAt(reportedFor(shares));
+      const mixParams = {
+        ...modelParams,
+        baseYearRevenueBreakdown: estimatedRevenueBreakdown(parsedData, totalRevenue, shares)
+      };
+      return {
+        enterpriseValue: value.enterpriseValue,
+        dcfEnterpriseValue: runDCFProjection(mixParams, { baseEBITDA: modelParams.baseYearEBITDA ?? value.ebitda }).enterpriseValue
+      };
+    };
+    // A richer mix can lower the DCF once costs are calibrated to reported EBITDA, so take min/max
+    const outcomes = [valueMix(scenarios.low), valueMix(scenarios.high)];
+    const range = (key, baseValue) => ({
+      low: Math.min(baseValue, ...outcomes.map(outcome => outcome[key])),
+      base: baseValue,
+      high: Math.max(baseValue, ...outcomes.map(outcome => outcome[key]))
+    });
+    revenueMix = {
+      ...mixEstimate,
+      scenarios,
+      valuationRange: {
+        enterpriseValue: range('enterpriseValue', enterpriseValue),
+        dcfEnterpriseValue: range('dcfEnterpriseValue', dcf.enterpriseValue)
+      }
+    };
+  }
   
   const results = {
     enterpriseValue,
+    equityValue: equityBridge.equityValue,
+    equityBridge,
     enhancedMultiple,
+    multipleBuild,
     estimatedEBITDA,
+    reportedEBITDA,
+    ebitdaBridge,
     totalRevenue,
     location,
+    marketTier: market.tier,
+    msa: market.msa,
     locationPremium: ((locationMultiplier - 1) * 100).toFixed(1) + '%',
     ebitdaMargin: ((estimatedEBITDA / totalRevenue) * 100).toFixed(1) + '%',
+    epv,
+    dcf,
+    unitEconomics,
+    revenueMix,
     growthScenarios
   };
   
-  console.log('✅ Analysis complete');
+  logger.info('✅ Analysis complete', { stage: 'analysis', enterpriseValue });
   return results;
 }
 
 // Generate growth scenarios for sensitivity analysis
-function generateGrowthScenarios(revenue, ebitda) {
-  const baseMultiple = 8.2;
+function generateGrowthScenarios(revenue, ebitda, history = null) {
+  const baseMultiple = loadMarketTable().baseMultiple;
+  
+  // Anchor patient growth on the trailing record, widening the band with its volatility
+  const historicalGrowth = history?.revenueCAGR != null ? deriveGrowthAssumptions(history).newPatients : null;
+  const spread = Math.max(0.03, history?.growthVolatility || 0);
+  const patientGrowth = (fallback, offset) =>
+    historicalGrowth === null ? fallback : Math.max(0, historicalGrowth + offset);
   
   const scenarios = {
     conservative: {
       name: "Conservative",
-      patientGrowth: 0.05,
+      patientGrowth: patientGrowth(0.05, -spread),
       pricingGrowth: 0.02,
       assumptions: "Steady operations, minimal expansion",
       riskLevel: "Low"
     },
     base: {
       name: "Base Case", 
-      patientGrowth: 0.08,
+      patientGrowth: patientGrowth(0.08, 0),
       pricingGrowth: 0.04,
       assumptions: "Industry average growth",
       riskLevel: "Medium"
     },
     aggressive: {
       name: "Aggressive",
-      patientGrowth: 0.15,
+      patientGrowth: patientGrowth(0.15, spread + 0.04),
       pricingGrowth: 0.06,
       assumptions: "High-growth expansion strategy",
       riskLevel: "High"
     },
     hypergrowth: {
       name: "Hyper-Growth",
-      patientGrowth: 0.25,
+      patientGrowth: patientGrowth(0.25, spread * 2 + 0.11),
       pricingGrowth: 0.08,
       assumptions: "Top 10% performer trajectory",
       riskLevel: "Very High"
@@ -396,20 +1416,138 @@ function formatResults(results, parsedData) {
 • Revenue: ${currency(results.totalRevenue)}
 • EBITDA: ${currency(results.estimatedEBITDA)} (${results.ebitdaMargin} margin)
 • Location: ${results.location.replace('_', ' ')} 
-• Patient Base: ${parsedData.patients.active || 'Estimated'} active patients
+• Patient Base: ${parsedData.patients.active || 'Estimated'} active patients${parsedData.csvMapping ? `
+• CSV Accounts: ${parsedData.csvMapping.mapped.length} mapped, ${parsedData.csvMapping.unmapped.length} unmapped` : ''}
 
 💰 ENHANCED DCF RESULTS:
 • Enterprise Value: ${currency(results.enterpriseValue)}
+• Equity Value: ${currency(results.equityValue)}
 • EBITDA Multiple: ${results.enhancedMultiple.toFixed(2)}x
 • Location Premium: ${results.locationPremium}
 • Revenue Multiple: ${(results.enterpriseValue / results.totalRevenue).toFixed(2)}x
 
+🧱 MULTIPLE BUILD:
+• Base Multiple: ${results.multipleBuild.baseMultiple.toFixed(2)}x${results.multipleBuild.factors.map(factor => `
+• ${factor.label}: ${factor.applied ? `${factor.adjustment.toFixed(2)}x (${factor.contribution >= 0 ? '+' : ''}${factor.contribution.toFixed(2)} turns)` : 'not provided - neutral'}`).join('')}
+• Enhanced Multiple: ${results.multipleBuild.multiple.toFixed(2)}x
+
+🏦 EV TO EQUITY BRIDGE:
+• Enterprise Value: ${currency(results.enterpriseValue)}
+• Less Debt: (${currency(results.equityBridge.debt)})
+• Less Capital Leases: (${currency(results.equityBridge.capitalLeases)})
+• Plus Cash: ${currency(results.equityBridge.cash)}
+• Less Deferred Revenue (packages/memberships): (${currency(results.equityBridge.deferredRevenue.total)})
+• NWC True-Up: ${currency(results.equityBridge.workingCapital.trueUp)} (delivered ${currency(results.equityBridge.workingCapital.delivered)} vs peg ${currency(results.equityBridge.workingCapital.peg)})
+• Equity Value: ${currency(results.equityValue)}${results.equityBridge.assumptions.length > 0 ? `
+• Note: ${results.equityBridge.assumptions.length} bridge item(s) not reported - see equityBridge.assumptions` : ''}
+
+🏛️ EARNINGS POWER VALUE:
+• EPV: ${currency(results.epv.earningsPowerValue)} (${(results.epv.earningsPowerValue / results.estimatedEBITDA).toFixed(2)}x EBITDA)
+• Normalized EBIT: ${currency(results.epv.components.normalizedEBIT)}
+• Adjusted Earnings: ${currency(results.epv.components.adjustedEarnings)} @ ${(results.epv.components.wacc * 100).toFixed(1)}% WACC
+• Reproduction Value: ${currency(results.epv.reproductionValue.total)}
+• Franchise Ratio: ${results.epv.franchiseRatio !== null ? results.epv.franchiseRatio.toFixed(2) + 'x' : 'n/a'} (${results.epv.moat})
+
+📅 ${results.dcf.exitYear}-YEAR DCF PROJECTION:
+• DCF Enterprise Value: ${currency(results.dcf.enterpriseValue)}
+• PV of FCF: ${currency(results.dcf.pvFCF)} | PV of Terminal: ${currency(results.dcf.pvTerminal)}
+• Exit EBITDA: ${currency(results.dcf.exitEBITDA)} @ ${results.dcf.exitMultiple.toFixed(1)}x
+• Revenue CAGR: ${(results.dcf.revenueCAGR * 100).toFixed(1)}%
+
+🏗️ CAPACITY:
+${formatCapacity(results.dcf.capacity, currency)}
+
+👤 UNIT ECONOMICS:
+• Revenue per Patient: ${currency(results.unitEconomics.revenuePerPatient)}/yr (${(results.unitEconomics.grossMargin * 100).toFixed(1)}% gross margin; visit/ASP drivers imply ${currency(results.unitEconomics.driverRevenuePerPatient)})
+• LTV: ${currency(results.unitEconomics.ltv)} (${results.unitEconomics.horizonYears}-yr cohort, discounted)
+• CAC: ${currency(results.unitEconomics.cac)} | LTV/CAC: ${results.unitEconomics.ltvToCac !== null ? results.unitEconomics.ltvToCac.toFixed(2) : 'n/a'}
+• Payback: ${results.unitEconomics.paybackMonths !== null ? `${results.unitEconomics.paybackMonths.toFixed(1)} months` : `beyond ${results.unitEconomics.horizonYears} years`}
+
 🎯 KEY INSIGHTS:`;
 
+  const uncertainFields = lowConfidenceFields(parsedData);
+  if (uncertainFields.length > 0) {
+    let confidenceOutput = `\n\n🔎 LOW-CONFIDENCE EXTRACTIONS:`;
+    uncertainFields.forEach(field => {
+      confidenceOutput += `\n• ${field.name}: "${field.source}" (${(field.confidence * 100).toFixed(0)}% via ${field.pattern})`;
+      if (field.conflicts.length > 0) {
+        confidenceOutput += ` - also matched ${field.conflicts.map(c => `"${c.source}"`).join(', ')}`;
+      }
+    });
+    output = output.replace('\n\n💰 ENHANCED DCF RESULTS:', confidenceOutput + '\n\n💰 ENHANCED DCF RESULTS:');
+  }
+
+  if (results.ebitdaBridge.adjustments.length > 0) {
+    const bridge = results.ebitdaBridge;
+    let bridgeOutput = `\n\n🧮 EBITDA NORMALIZATION:\n• Reported EBITDA: ${currency(bridge.reportedEbitda)}`;
+    bridge.adjustments.forEach(adj => {
+      bridgeOutput += `\n• ${adj.amount >= 0 ? '+' : '-'} ${adj.description}: ${currency(Math.abs(adj.amount))}${adj.source ? ` [${adj.source}]` : ' [unsourced]'}`;
+    });
+    bridgeOutput += `\n• Normalized EBITDA: ${currency(bridge.normalizedEbitda)} (${bridge.adjustmentPercent >= 0 ? '+' : ''}${(bridge.adjustmentPercent * 100).toFixed(1)}% vs reported)`;
+    output = output.replace('\n\n💰 ENHANCED DCF RESULTS:', bridgeOutput + '\n\n💰 ENHANCED DCF RESULTS:');
+  }
+
+  if (results.assumptions) {
+    const { overrides, summary, keyDefaults } = results.assumptions;
+    let assumptionOutput = `\n\n🧾 ASSUMPTIONS:\n• ${summary.data} from data | ${summary.override} overridden | ${summary.default} defaults`;
+    overrides.forEach(override => {
+      assumptionOutput += `\n• Override ${override.path}: ${override.value} (was ${override.previous}, ${override.previousSource})`;
+    });
+    if (results.assumptions.impact) {
+      const moved = results.assumptions.impact.filter(item => item.moved);
+      const unchanged = results.assumptions.impact.filter(item => !item.moved);
+      assumptionOutput += `\n• Overrides moved: ${moved.length > 0 ? moved.map(item => `${item.label} ${currency(item.before)} → ${currency(item.after)}`).join(', ') : 'no headline figure'}`;
+      if (unchanged.length > 0) {
+        assumptionOutput += `\n• Unchanged by overrides: ${unchanged.map(item => item.label).join(', ')}${unchanged.some(item => item.figure === 'enterpriseValue') ? ' (EV is normalized EBITDA x market multiple)' : ''}`;
+      }
+    }
+    if (keyDefaults.length > 0) {
+      assumptionOutput += `\n• Key defaults in use: ${keyDefaults.map(item => `${item.path} = ${item.value}`).join(', ')}`;
+    }
+    output = output.replace('\n\n🎯 KEY INSIGHTS:', assumptionOutput + '\n\n🎯 KEY INSIGHTS:');
+  }
+
+  if (parsedData.patientRecords) {
+    const records = parsedData.patientRecords;
+    const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    let recordOutput = `\n\n👥 PATIENT RECORDS (${records.visitCount} visits, TTM to ${records.asOf}):`;
+    recordOutput += `\n• Active Patients: ${records.activePatients} | New: ${records.newPatientsPerYear}/yr | Churn: ${percent(records.churnRate)}`;
+    recordOutput += `\n• Visits per Patient: ${records.visitsPerPatientYr !== null ? records.visitsPerPatientYr.toFixed(2) : 'n/a'}/yr | CAC: ${records.cac !== null ? currency(records.cac) : 'n/a'}`;
+    const asp = Object.entries(records.aspByService).filter(([, value]) => value !== null);
+    if (asp.length > 0) {
+      recordOutput += `\n• ASP: ${asp.map(([line, value]) => `${line} ${currency(value)}`).join(', ')}`;
+    }
+    recordOutput += `\n• Retention by Quarter: ${records.retention.curve.slice(0, 5).map(percent).join(' → ')}`;
+    output = output.replace('\n\n🎯 KEY INSIGHTS:', recordOutput + '\n\n🎯 KEY INSIGHTS:');
+  }
+
+  if (results.revenueMix) {
+    const mix = results.revenueMix;
+    const range = mix.valuationRange;
+    let mixOutput = `\n\n🧪 REVENUE MIX (estimated from ${mix.signals.length > 0 ? mix.signals.join(', ') : `${mix.prior} market prior`}):`;
+    Object.entries(mix.shares).forEach(([line, share]) => {
+      mixOutput += `\n• ${line}: ${(share * 100).toFixed(1)}% (80% range ${(mix.ranges[line].low * 100).toFixed(1)}-${(mix.ranges[line].high * 100).toFixed(1)}%)`;
+    });
+    mixOutput += `\n• EV range from mix: ${currency(range.enterpriseValue.low)} - ${currency(range.enterpriseValue.high)}`;
+    mixOutput += `\n• DCF range from mix: ${currency(range.dcfEnterpriseValue.low)} - ${currency(range.dcfEnterpriseValue.high)}`;
+    output = output.replace('\n\n🎯 KEY INSIGHTS:', mixOutput + '\n\n🎯 KEY INSIGHTS:');
+  }
+
+  if (parsedData.history && parsedData.history.years > 1) {
+    const history = parsedData.history;
+    output += `\n• FY${history.periods[0].year}-FY${history.periods[history.years - 1].year} revenue CAGR: ${(history.revenueCAGR * 100).toFixed(1)}%`;
+    if (history.marginTrend.slope !== null) {
+      output += ` | EBITDA margin ${history.marginTrend.direction} (${history.marginTrend.slope >= 0 ? '+' : ''}${(history.marginTrend.slope * 100).toFixed(1)} pts/yr)`;
+    }
+    if (history.growthVolatility !== null) {
+      output += `\n• Growth volatility: ${(history.growthVolatility * 100).toFixed(1)}%`;
+    }
+  }
+
   // Add market tier assessment
-  if (results.location.includes('manhattan') || results.location.includes('beverly')) {
+  if (results.marketTier === 'tier1') {
     output += `\n• Tier 1 premium market positioning`;
-  } else if (results.location.includes('san_francisco') || results.location.includes('miami')) {
+  } else if (results.marketTier === 'tier2') {
     output += `\n• Tier 2 high-value market`;
   } else {
     output += `\n• Standard market positioning`;
@@ -435,6 +1573,15 @@ function formatResults(results, parsedData) {
     output += `\n• Aggressive: ${currency(results.growthScenarios.aggressive.enterpriseValue)} (+${results.growthScenarios.aggressive.evChange.toFixed(1)}%)`;
     output += `\n• Hyper-Growth: ${currency(results.growthScenarios.hypergrowth.enterpriseValue)} (+${results.growthScenarios.hypergrowth.evChange.toFixed(1)}%)`;
     
+    output += `\n\n🧑‍⚕️ CAPACITY TO UNLOCK SCENARIOS (by exit year):`;
+    Object.values(results.growthScenarios).forEach(scenario => {
+      const needs = scenario.capacityNeeds;
+      // Hires where headcount is known, else the FTEs / rooms the demand needs
+      const role = (key, label) => needs.hires[key] !== null ? `+${needs.hires[key]} ${label}` : `${needs.fte[key].toFixed(1)} ${label} FTE`;
+      const rooms = needs.rooms !== null ? `+${needs.rooms} room` : `${Math.ceil(needs.roomsRequired)} rooms`;
+      output += `\n• ${scenario.name}: ${role('injectors', 'injector')}, ${role('laserTechs', 'laser tech')}, ${role('estheticians', 'esthetician')}, ${rooms}${needs.capex > 0 ? ` (${currency(needs.capex)} capex)` : ''}`;
+    });
+    
     output += `\n\n🎯 GROWTH DRIVERS (Critical for Medispa Industry):`;
     output += `\n• Patient acquisition (social media/referrals)`;
     output += `\n• Service expansion (new treatments/technology)`;
@@ -447,41 +1594,170 @@ function formatResults(results, parsedData) {
   return output;
 }
 
+// Capacity caps only what was reported; the rest shows as demand, not a ceiling
+function formatCapacity(capacity, currency) {
+  const roles = [['injectors', 'injector'], ['laserTechs', 'laser tech'], ['estheticians', 'esthetician']];
+  const lastYear = capacity.byYear[capacity.byYear.length - 1].year;
+  const lines = [];
+  if (!capacity.reported) {
+    lines.push('• Headcount and rooms not reported - DCF volume is not capped');
+  } else {
+    lines.push(`• Providers: ${roles.map(([role, label]) => `${capacity.headcount[role] ?? 'n/a'} ${label} FTE`).join(' | ')} | ${capacity.rooms ?? 'n/a'} rooms${[...Object.values(capacity.headcount), capacity.rooms].includes(null) ? ' (n/a = not reported, not capped)' : ''}`);
+    if (capacity.baseYearShortfalls.length > 0) {
+      const shortfalls = capacity.baseYearShortfalls.map(gap => `${gap.resource} ${gap.reported} reported vs ${gap.baseYearRequired.toFixed(1)} implied`).join(', ');
+      lines.push(`• ⚠️ Reported capacity can't deliver base-year revenue (${shortfalls}) - base year kept, growth capped above its volume`);
+    }
+    lines.push(`• Utilization by Year: ${capacity.byYear.map(row => `Y${row.year} ${row.utilization !== null ? `${(row.utilization * 100).toFixed(1)}%` : 'n/a'}${row.constrained ? '*' : ''}`).join(' | ')}`);
+    lines.push(`• ${capacity.firstConstrainedYear ? `Capacity-bound from Y${capacity.firstConstrainedYear} (*) - ${currency(capacity.lostRevenue)} of demand turned away` : 'No capacity constraint over the projection'}`);
+    lines.push(`• To serve projected demand: ${capacity.totalHires} hire(s)${capacity.roomsNeeded !== null ? `, ${capacity.roomsNeeded} room(s)` : ''}${capacity.roomCapex > 0 ? ` (${currency(capacity.roomCapex)} build-out)` : ''}`);
+  }
+  lines.push(`• Peak demand by Y${lastYear}: ${roles.map(([role, label]) => `${capacity.fteRequired[role].toFixed(1)} ${label}`).join(', ')} FTE, ${Math.ceil(capacity.roomsRequired)} rooms (at ${(CAPACITY_DEFAULTS.maxUtilization * 100).toFixed(0)}% max utilization)`);
+  return lines.join('\n');
+}
+
+// Chat text, or JSON / Markdown / CSV for the deal tracker and spreadsheets
+function formatOutput(format, results, parsedData, validationIssues = []) {
+  if (format === 'text') return formatResults(results, parsedData);
+  
+  const report = { results, parsedData, validationIssues, lowConfidence: lowConfidenceFields(parsedData) };
+  if (format === 'json') return formatJson(report);
+  if (format === 'markdown') return formatMarkdown(report);
+  return formatCsv(report);
+}
+
+// Parse plus caller-supplied adjustments, location override and visit log
+// (options.visitLog, with options.marketingSpend / options.asOf for CAC and the window)
+function parseInput(input, options = {}, logger = defaultLogger) {
+  const recordOptions = { marketingSpend: options.marketingSpend, asOf: options.asOf };
+  const parsedData = options.dataType === 'visits' ?
+    parseVisitData(input, recordOptions, logger) :
+    parseFinancialData(input, options.dataType || 'text', logger);
+  if (options.visitLog) {
+    mergeVisitLog(parsedData, options.visitLog, recordOptions, logger);
+  }
+  if (options.adjustments) {
+    parsedData.adjustments = [...(parsedData.adjustments || []), ...options.adjustments];
+  }
+  if (options.location) {
+    const market = lookupMarket(options.location);
+    if (market.matchedBy === 'default') {
+      throw new Error(`Location override "${options.location}" not in market table`);
+    }
+    parsedData.location = market.key;
+  }
+  return parsedData;
+}
+
+// options.overrides takes dotted paths (or nested objects); nwcPeg, wacc and
+// exitMultiple are shorthands for the matching paths
+function collectOverrides(options) {
+  const shorthands = {
+    'workingCapital.peg': options.nwcPeg,
+    'discount.wacc': options.wacc,
+    'exit.exitMultipleEBITDA': options.exitMultiple
+  };
+  const overrides = { ...(options.overrides || {}) };
+  Object.entries(shorthands).forEach(([path, value]) => {
+    if (value !== undefined) overrides[path] = value;
+  });
+  return overrides;
+}
+
+// Every overridable ModelParams path with its default, for checking overrides before any data is read
+function assumptionSchema() {
+  const empty = { revenue: {}, profitability: {}, operations: {}, patients: {}, location: null };
+  return flattenPaths(convertToModelParams(empty, createLogger({ mode: 'silent' })));
+}
+
+// Overrides land first, then the parameters derived from them are recomputed
+function resolveAssumptions(parsedData, modelParams, options) {
+  const sources = assumptionSources(parsedData, modelParams);
+  const overrides = collectOverrides(options);
+  
+  const applied = applyOverrides(modelParams, overrides, sources);
+  deriveDependentParams(modelParams, parsedData, new Set(applied.map(override => override.path)));
+  const values = flattenPaths(modelParams);
+  return {
+    sources,
+    overrides: applied,
+    summary: summarizeSources(sources),
+    keyDefaults: KEY_ASSUMPTIONS
+      .filter(path => sources[path] === 'default')
+      .map(path => ({ path, value: values[path] }))
+  };
+}
+
+// Headline figures and whether the overrides moved them. The multiple-based EV is
+// normalized EBITDA x market multiple, so WACC, exit and patient overrides leave it alone.
+const HEADLINE_FIGURES = [
+  { key: 'enterpriseValue', label: 'Enterprise Value', value: (r) => r.enterpriseValue },
+  { key: 'equityValue', label: 'Equity Value', value: (r) => r.equityValue },
+  { key: 'epv', label: 'EPV', value: (r) => r.epv.earningsPowerValue },
+  { key: 'dcfEnterpriseValue', label: 'DCF Enterprise Value', value: (r) => r.dcf.enterpriseValue },
+  { key: 'ltv', label: 'LTV', value: (r) => r.unitEconomics.ltv }
+];
+
+function overrideImpact(before, after) {
+  return HEADLINE_FIGURES.map(({ key, label, value }) => {
+    const from = value(before);
+    const to = value(after);
+    return { figure: key, label, before: from, after: to, moved: Math.abs(to - from) > 0.5 };
+  });
+}
+
 // Main processing function for agent use
 function processFinancialData(input, options = {}) {
+  // options.logger: 'pretty' (default), 'json', 'silent' or a logger object; options.logLevel: debug..error
+  const logger = resolveLogger(options.logger, options.logLevel);
   try {
-    console.log('🎯 STARTING FINANCIAL DATA PROCESSING');
-    console.log('=====================================');
+    logger.info('🎯 STARTING FINANCIAL DATA PROCESSING');
+    logger.info('=====================================');
+    
+    const format = options.format || 'text';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
     
     // Step 1: Parse the data
-    const parsedData = parseFinancialData(input, options.dataType || 'text');
+    const parsedData = parseInput(input, options, logger);
     
     // Step 2: Validate data quality
-    const validationIssues = validateData(parsedData);
+    const validationIssues = validateData(parsedData, logger);
     
     // Step 3: Convert to model parameters
-    const modelParams = convertToModelParams(parsedData);
+    const modelParams = convertToModelParams(parsedData, logger);
+    const unadjusted = JSON.parse(JSON.stringify(modelParams));
+    const assumptions = resolveAssumptions(parsedData, modelParams, options);
     
     // Step 4: Execute analysis
-    const results = executeAnalysis(modelParams, parsedData.location, parsedData);
+    const location = parsedData.location || 'suburban_standard';
+    const results = executeAnalysis(modelParams, location, parsedData, logger);
+    if (assumptions.overrides.length > 0) {
+      const withoutOverrides = executeAnalysis(unadjusted, location, parsedData, createLogger({ mode: 'silent' }));
+      assumptions.impact = overrideImpact(withoutOverrides, results);
+    }
+    results.assumptions = assumptions;
     
     // Step 5: Format output
-    const formattedOutput = formatResults(results, parsedData);
+    const formattedOutput = formatOutput(format, results, parsedData, validationIssues);
     
-    console.log('🎉 PROCESSING COMPLETE');
-    console.log('======================');
+    logger.info('🎉 PROCESSING COMPLETE');
+    logger.info('======================');
     
     return {
       success: true,
+      format,
       output: formattedOutput,
       rawResults: results,
+      epv: results.epv,
       validationIssues,
       parsedData,
-      modelParams
+      modelParams,
+      assumptions
     };
     
   } catch (error) {
-    console.error('❌ ERROR in processing:', error.message);
+    logger.error(`❌ ERROR in processing: ${error.message}`, { error: error.message });
     return {
       success: false,
       error: error.message,
@@ -494,27 +1770,26 @@ function processFinancialData(input, options = {}) {
 module.exports = {
   processFinancialData,
   parseFinancialData,
+  parseInput,
+  analyzeHistoricalPerformance,
+  revenueMixEstimate,
+  parseAmount,
+  completeFinancialReport,
   convertToModelParams,
+  collectOverrides,
+  assumptionSchema,
   validateData,
   executeAnalysis,
-  formatResults
+  formatResults,
+  formatOutput,
+  splitCsvLine
 };
 
-// CLI interface for direct testing
+// CLI interface for direct testing - see cli.js for subcommands and flags
 if (require.main === module) {
+  const { main, COMMANDS } = require('./cli');
   const args = process.argv.slice(2);
-  if (args.length === 0) {
-    console.log('Usage: node data_processor.js "financial data string"');
-    console.log('Example: node data_processor.js "Dallas medispa, $2M revenue, $500K EBITDA"');
-    process.exit(1);
-  }
-  
-  const input = args.join(' ');
-  const result = processFinancialData(input);
-  
-  if (result.success) {
-    console.log('\n' + result.output);
-  } else {
-    console.error(result.output);
-  }
-}
\ No newline at end of file
+  // Legacy form: node data_processor.js "Dallas medispa, $2M revenue, $500K EBITDA"
+  const legacy = args.length > 0 && !args[0].startsWith('-') && !COMMANDS.includes(args[0]);
+  process.exitCode = main(legacy ? ['report', ...args] : args);
+}
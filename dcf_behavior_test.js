@@ -0,0 +1,84 @@
+// DCF BEHAVIOR CHECKS
+// Projection calibration and growth mechanics against known practices:
+// node dcf_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { processFinancialData, convertToModelParams } = require('./data_processor');
+const { runDCFProjection } = require('./dcf_projection');
+const { generateGrowthScenarios, runGrowthSensitivityAnalysis } = require('./growth_sensitivity_analyzer');
+const { createLogger } = require('./logger');
+const { createCheckRun, close, quietly } = require('./behavior_checks');
+
+const silent = createLogger({ mode: 'silent' });
+
+// Practice with reported EBITDA, as ModelParams
+function practiceParams(revenue, ebitda) {
+  return convertToModelParams({
+    revenue: { total: revenue },
+    profitability: { ebitda },
+    patients: {},
+    location: 'dallas'
+  }, silent);
+}
+
+const runScenarios = params => quietly(() => runGrowthSensitivityAnalysis(params, generateGrowthScenarios(params)));
+
+const { check, finish } = createCheckRun("📐 DCF BEHAVIOR CHECKS", 'DCF');
+
+check('DCF year 1 reproduces reported revenue and EBITDA', () => {
+  const result = processFinancialData('Dallas medispa, $2M revenue, $500K EBITDA', { logger: 'silent' });
+  assert.ok(result.success, result.error);
+  const [year1] = result.rawResults.dcf.years;
+  close(year1.revenue, 2000000, 1, 'Y1 revenue');
+  close(year1.ebitda, 500000, 1, 'Y1 EBITDA');
+});
+
+check('Short reported capacity keeps the base year and caps only growth above it', () => {
+  const result = processFinancialData('Austin medispa, $3.4M revenue, $800K EBITDA, 1 nurse injector, 2 treatment rooms', {
+    logger: 'silent'
+  });
+  assert.ok(result.success, result.error);
+  const { years, capacity } = result.rawResults.dcf;
+  close(years[0].revenue, 3400000, 1, 'Y1 revenue');
+  close(years[0].ebitda, 800000, 1, 'Y1 EBITDA');
+  assert.deepStrictEqual(capacity.baseYearShortfalls.map(gap => gap.resource), ['injectors', 'rooms']);
+  assert.strictEqual(capacity.headcount.injectors, 1);
+  assert.ok(capacity.servingHeadcount.injectors > 1, 'base year should be served by the implied headcount');
+  assert.strictEqual(capacity.byYear[0].constrained, false);
+  assert.ok(capacity.lostRevenue > 0, 'growth above the base year should be capped');
+});
+
+check('Net patient growth target holds the active base on that path', () => {
+  const params = practiceParams(2000000, 500000);
+  params.growth = { ...params.growth, activePatients: 0.06, churnImprovement: -0.01 };
+  const { years } = runDCFProjection(params, { baseEBITDA: 500000 });
+  years.slice(1).forEach((row, i) => {
+    close(row.activePatients / years[i].activePatients, 1.06, 1e-9, `Y${row.year} active growth`);
+  });
+});
+
+check('Efficiency lifts margins after year 1 without moving the calibrated year', () => {
+  const flat = runDCFProjection(practiceParams(2000000, 500000), { baseEBITDA: 500000 });
+  const params = practiceParams(2000000, 500000);
+  params.growth.opexEfficiency = 0.05;
+  const efficient = runDCFProjection(params, { baseEBITDA: 500000 });
+  close(efficient.years[0].ebitda, flat.years[0].ebitda, 1e-6, 'Y1 EBITDA');
+  assert.ok(efficient.exitEBITDA > flat.exitEBITDA, 'exit EBITDA should rise with efficiency');
+});
+
+check('Growth scenarios start from the practice\'s reported EBITDA', () => {
+  const results = runScenarios(practiceParams(3000000, 450000));
+  Object.values(results).forEach(({ projection, scenario }) => {
+    close(projection.years[0].ebitda, 450000, 1, `${scenario.name} Y1 EBITDA`);
+  });
+  assert.ok(results.aggressive.enterpriseValue > results.conservative.enterpriseValue);
+});
+
+check('Growth scenarios accept minimal ModelParams', () => {
+  const { baseYearRevenueBreakdown, exit } = practiceParams(3000000, 450000);
+  const results = runScenarios({ baseYearRevenueBreakdown, exit });
+  assert.ok(Object.values(results).every(result => Number.isFinite(result.enterpriseValue)));
+  assert.throws(() => runScenarios({ exit }), /at least baseYearRevenueBreakdown/);
+});
+
+finish();
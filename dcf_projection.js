@@ -0,0 +1,199 @@
+// MULTI-YEAR DCF PROJECTION
+// Drives revenue from the patient funnel and pricing in ModelParams, applies the
+// cost structure and discounts free cash flow plus an exit-multiple terminal value
+
+const { fitBaseYear, applyCapacity, summarizeCapacity } = require('./capacity_model');
+
+const SERVICE_LINES = ['injectables', 'lasers', 'skincare', 'memberships', 'retail'];
+
+// Revenue each service line would earn from the volume/pricing drivers alone
+function driverRevenue(params, activePatients, totalVisits, priceIndex) {
+  const { pricing, volume } = params;
+  return {
+    injectables: totalVisits * volume.injectableTreatmentsPerVisit * pricing.injectablesASP * priceIndex,
+    lasers: totalVisits * volume.laserTreatmentsPerVisit * pricing.laserASP * priceIndex,
+    skincare: totalVisits * volume.skincareTreatmentsPerVisit * pricing.skincareASP * priceIndex,
+    memberships: activePatients * pricing.membershipFee * priceIndex,
+    retail: totalVisits * volume.retailPurchaseRate * pricing.retailATV * priceIndex
+  };
+}
+
+function cogsForLines(revenueByLine, costs) {
+  return revenueByLine.injectables * costs.cogsInjectables +
+         revenueByLine.lasers * costs.cogsLasers +
+         revenueByLine.skincare * costs.cogsSkincare +
+         revenueByLine.retail * costs.cogsRetail;
+}
+
+function runDCFProjection(modelParams, options = {}) {
+  const { patients, growth, costs, capex } = modelParams;
+  const years = modelParams.exit?.exitYear || 5;
+  const wacc = modelParams.discount.wacc;
+  const exitMultiple = modelParams.exit.exitMultipleEBITDA;
+  const taxRate = modelParams.tax?.rate ?? 0.26;
+  const nwcPercent = modelParams.workingCapital?.nwcPercent ?? 0.05;
+  const depreciationPercent = capex.depreciationPercent ?? 0.03;
+  const base = modelParams.baseYearRevenueBreakdown;
+
+  // Calibrate driver output to the base-year revenue actually reported
+  const baseVisits = patients.activePatients * patients.visitsPerPatientYr;
+  const baseDriver = driverRevenue(modelParams, patients.activePatients, baseVisits, 1);
+  const calibration = {};
+  SERVICE_LINES.forEach(line => {
+    calibration[line] = baseDriver[line] > 0 ? (base[line] || 0) / baseDriver[line] : 0;
+  });
+
+  const baseRevenue = SERVICE_LINES.reduce((sum, line) => sum + (base[line] || 0), 0);
+  const baseOpexPercent = costs.staffCostPercent + costs.marketingPercent + costs.adminPercent;
+  const staffAdminPercent = costs.staffCostPercent + costs.adminPercent;
+  const baseRent = baseRevenue * costs.rentPercent;
+
+  // Reconcile the cost structure with reported EBITDA when we have it
+  let otherOpexPercent = 0;
+  if (options.baseEBITDA && baseRevenue > 0) {
+    const modeledEBITDA = baseRevenue - cogsForLines(base, costs) - baseRent - (baseRevenue * baseOpexPercent);
+    otherOpexPercent = (modeledEBITDA - options.baseEBITDA) / baseRevenue;
+  }
+
+  // Capacity caps growth beyond the calibrated base year, never the base year itself
+  const fit = modelParams.capacity ? fitBaseYear(base, modelParams.pricing, modelParams.capacity) : null;
+
+  const rows = [];
+  let activePatients = patients.activePatients;
+  let newPatients = patients.newPatientsPerYear;
+  let churnRate = patients.churnRate;
+  let visitsPerPatient = patients.visitsPerPatientYr;
+  let priceIndex = 1;
+  let efficiencyIndex = 1;
+  let priorNWC = options.openingNWC ?? (baseRevenue * nwcPercent);
+
+  for (let year = 1; year <= years; year++) {
+    if (year > 1) {
+      churnRate = Math.max(0.05, churnRate + growth.churnImprovement);
+      // growth.activePatients targets net growth of the active base: new patients are
+      // solved to replace churn plus that growth instead of compounding on their own
+      newPatients = growth.activePatients != null ?
+        activePatients * (churnRate + growth.activePatients) :
+        newPatients * (1 + growth.newPatients);
+      activePatients = activePatients * (1 - churnRate) + newPatients;
+      visitsPerPatient *= 1 + growth.frequency;
+      priceIndex *= 1 + growth.pricing;
+      // Staff/admin cost share falls each year after the calibrated base year
+      efficiencyIndex *= 1 - (growth.opexEfficiency || 0);
+    }
+
+    const totalVisits = activePatients * visitsPerPatient;
+    const drivers = driverRevenue(modelParams, activePatients, totalVisits, priceIndex);
+    let revenueByLine = {};
+    SERVICE_LINES.forEach(line => {
+      revenueByLine[line] = drivers[line] * calibration[line];
+    });
+    // Volume beyond provider and room hours (reported, or what the base year shows) is turned away
+    const capacity = fit ?
+      applyCapacity(revenueByLine, modelParams.pricing, priceIndex, fit.capacity) : null;
+    if (capacity) revenueByLine = capacity.revenueByLine;
+    const revenue = Object.values(revenueByLine).reduce((a, b) => a + b, 0);
+
+    const cogs = cogsForLines(revenueByLine, costs);
+    const grossProfit = revenue - cogs;
+    // Rent is contractual: it escalates with pricing rather than scaling with volume
+    const rent = baseRent * priceIndex;
+    const opex = rent + revenue * (baseOpexPercent - staffAdminPercent * (1 - efficiencyIndex) + otherOpexPercent);
+    const ebitda = grossProfit - opex;
+
+    const depreciation = revenue * depreciationPercent;
+    const ebit = ebitda - depreciation;
+    const taxes = Math.max(0, ebit) * taxRate;
+
+    const maintenanceCapex = revenue * capex.maintenancePercent;
+    const growthCapex = capex.growthCapexYear1 * Math.pow(1 + capex.growthCapexGrowth, year - 1);
+    const totalCapex = maintenanceCapex + growthCapex;
+
+    const nwc = revenue * nwcPercent;
+    const deltaNWC = nwc - priorNWC;
+    priorNWC = nwc;
+
+    const fcf = ebitda - taxes - totalCapex - deltaNWC;
+    const discountFactor = 1 / Math.pow(1 + wacc, year);
+
+    rows.push({
+      year,
+      activePatients,
+      newPatients,
+      churnRate,
+      visitsPerPatient,
+      totalVisits,
+      revenueByLine,
+      capacity,
+      revenue,
+      cogs,
+      grossProfit,
+      opex,
+      ebitda,
+      ebitdaMargin: revenue > 0 ? ebitda / revenue : 0,
+      depreciation,
+      ebit,
+      taxes,
+      maintenanceCapex,
+      growthCapex,
+      capex: totalCapex,
+      nwc,
+      deltaNWC,
+      fcf,
+      discountFactor,
+      pvFCF: fcf * discountFactor
+    });
+  }
+
+  const exitRow = rows[rows.length - 1];
+  const pvFCF = rows.reduce((sum, row) => sum + row.pvFCF, 0);
+  const terminalValue = exitRow.ebitda * exitMultiple;
+  const pvTerminal = terminalValue * exitRow.discountFactor;
+  const firstRevenue = rows[0].revenue;
+
+  return {
+    years: rows,
+    pvFCF,
+    terminalValue,
+    pvTerminal,
+    enterpriseValue: pvFCF + pvTerminal,
+    exitYear: years,
+    exitEBITDA: exitRow.ebitda,
+    exitMultiple,
+    wacc,
+    revenueCAGR: years > 1 && firstRevenue > 0 ? Math.pow(exitRow.revenue / firstRevenue, 1 / (years - 1)) - 1 : 0,
+    costCalibration: otherOpexPercent,
+    capacity: fit ? summarizeCapacity(rows, fit.capacity, modelParams.capacity, fit.shortfalls) : null
+  };
+}
+
+// Year-by-year table in the same layout as the CLI run output
+function formatProjectionTable(projection) {
+  const currency = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+
+  const withCapacity = projection.capacity !== null && projection.capacity !== undefined;
+  const lines = ['Yr   Revenue      EBITDA%   FCF          EBITDA       ΔNWC' + (withCapacity ? '        Util' : '')];
+  projection.years.forEach(row => {
+    lines.push(
+      String(row.year).padEnd(5) +
+      currency(row.revenue).padEnd(13) +
+      `${(row.ebitdaMargin * 100).toFixed(1)}%`.padEnd(10) +
+      currency(row.fcf).padEnd(13) +
+      currency(row.ebitda).padEnd(13) +
+      (withCapacity ? currency(row.deltaNWC).padEnd(12) + (row.capacity.utilization.overall !== null ? `${(row.capacity.utilization.overall * 100).toFixed(1)}%` : 'n/a') : currency(row.deltaNWC))
+    );
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  runDCFProjection,
+  formatProjectionTable,
+  driverRevenue,
+  SERVICE_LINES
+};
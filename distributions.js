@@ -0,0 +1,268 @@
+// MONTE CARLO DISTRIBUTIONS
+// Per-variable sampling specs - normal / truncated normal, triangular, PERT, lognormal,
+// uniform and empirical - each with a CDF and quantile so correlated normals can be
+// mapped onto them (Gaussian copula) and every draw checked against its bounds
+
+const DISTRIBUTION_TYPES = ['normal', 'truncatedNormal', 'triangular', 'pert', 'lognormal', 'uniform', 'empirical'];
+const U_EPSILON = 1e-12;
+
+// Abramowitz-Stegun style erfc with fractional error below 1.2e-7
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+function standardNormalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+// Acklam's rational approximation (relative error ~1e-9)
+function standardNormalQuantile(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Lanczos log-gamma, for the beta function behind PERT
+function logGamma(x) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  g.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized incomplete beta I_x(a, b) by continued fraction (modified Lentz)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return front * h / a;
+}
+
+// Quantile by bisection for CDFs without a closed-form inverse
+function invertCdf(cdf, p, low, high) {
+  let lo = low;
+  let hi = high;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function requireNumbers(spec, fields, name) {
+  fields.forEach(field => {
+    if (!isNumber(spec[field])) {
+      throw new Error(`${name}: ${spec.distribution} distribution needs a numeric ${field}`);
+    }
+  });
+}
+
+function requireOrdered(spec, name) {
+  if (!(spec.min <= spec.mode && spec.mode <= spec.max && spec.min < spec.max)) {
+    throw new Error(`${name}: ${spec.distribution} needs min <= mode <= max with min < max (got ${spec.min}, ${spec.mode}, ${spec.max})`);
+  }
+}
+
+// Untruncated CDF / quantile and natural support of each distribution
+const BASE_DISTRIBUTIONS = {
+  normal(spec, name) {
+    requireNumbers(spec, ['mean', 'stdDev'], name);
+    if (spec.stdDev <= 0) throw new Error(`${name}: stdDev must be positive (got ${spec.stdDev})`);
+    return {
+      support: [-Infinity, Infinity],
+      cdf: (x) => standardNormalCdf((x - spec.mean) / spec.stdDev),
+      quantile: (p) => spec.mean + spec.stdDev * standardNormalQuantile(p)
+    };
+  },
+
+  truncatedNormal(spec, name) {
+    requireNumbers(spec, ['min', 'max'], name);
+    return BASE_DISTRIBUTIONS.normal(spec, name);
+  },
+
+  triangular(spec, name) {
+    requireNumbers(spec, ['min', 'mode', 'max'], name);
+    requireOrdered(spec, name);
+    const { min, mode, max } = spec;
+    const split = (mode - min) / (max - min);
+    return {
+      support: [min, max],
+      cdf: (x) => {
+        if (x <= min) return 0;
+        if (x >= max) return 1;
+        return x <= mode ? (x - min) ** 2 / ((max - min) * (mode - min)) :
+          1 - (max - x) ** 2 / ((max - min) * (max - mode));
+      },
+      quantile: (p) => (p < split ?
+        min + Math.sqrt(p * (max - min) * (mode - min)) :
+        max - Math.sqrt((1 - p) * (max - min) * (max - mode)))
+    };
+  },
+
+  // Beta on [min, max] with shape set by the mode; lambda 4 is the classic PERT weight
+  pert(spec, name) {
+    requireNumbers(spec, ['min', 'mode', 'max'], name);
+    requireOrdered(spec, name);
+    const { min, mode, max } = spec;
+    const lambda = spec.lambda ?? 4;
+    const alpha = 1 + lambda * (mode - min) / (max - min);
+    const beta = 1 + lambda * (max - mode) / (max - min);
+    const cdf = (x) => incompleteBeta((x - min) / (max - min), alpha, beta);
+    return {
+      support: [min, max],
+      cdf,
+      quantile: (p) => invertCdf(cdf, p, min, max)
+    };
+  },
+
+  // Given the mean and standard deviation of the variable itself, optionally shifted
+  // so growth rates can dip below zero
+  lognormal(spec, name) {
+    requireNumbers(spec, ['mean', 'stdDev'], name);
+    const shift = spec.shift ?? 0;
+    const level = spec.mean - shift;
+    if (level <= 0 || spec.stdDev <= 0) {
+      throw new Error(`${name}: lognormal needs mean above shift (${shift}) and a positive stdDev`);
+    }
+    const sigma = Math.sqrt(Math.log(1 + (spec.stdDev / level) ** 2));
+    const mu = Math.log(level) - sigma * sigma / 2;
+    return {
+      support: [shift, Infinity],
+      cdf: (x) => (x <= shift ? 0 : standardNormalCdf((Math.log(x - shift) - mu) / sigma)),
+      quantile: (p) => shift + Math.exp(mu + sigma * standardNormalQuantile(p))
+    };
+  },
+
+  uniform(spec, name) {
+    requireNumbers(spec, ['min', 'max'], name);
+    if (!(spec.min < spec.max)) throw new Error(`${name}: uniform needs min < max (got ${spec.min}, ${spec.max})`);
+    return {
+      support: [spec.min, spec.max],
+      cdf: (x) => Math.min(1, Math.max(0, (x - spec.min) / (spec.max - spec.min))),
+      quantile: (p) => spec.min + p * (spec.max - spec.min)
+    };
+  },
+
+  // Historical observations, linearly interpolated between order statistics
+  empirical(spec, name) {
+    const data = Array.isArray(spec.data) ? spec.data : [];
+    if (data.length < 2 || !data.every(isNumber)) {
+      throw new Error(`${name}: empirical distribution needs at least two numeric observations in data`);
+    }
+    const sorted = [...data].sort((a, b) => a - b);
+    const last = sorted.length - 1;
+    return {
+      support: [sorted[0], sorted[last]],
+      cdf: (x) => {
+        if (x <= sorted[0]) return 0;
+        if (x >= sorted[last]) return 1;
+        const i = sorted.findIndex(value => value >= x);
+        const lower = sorted[i - 1];
+        return (i - 1 + (x - lower) / ((sorted[i] - lower) || 1)) / last;
+      },
+      quantile: (p) => {
+        const position = p * last;
+        const i = Math.min(last - 1, Math.floor(position));
+        return sorted[i] + (position - i) * (sorted[i + 1] - sorted[i]);
+      }
+    };
+  }
+};
+
+// spec: { distribution, ...parameters, min?, max? } - min/max truncate any distribution
+function createDistribution(spec, name = 'variable') {
+  if (!spec || !DISTRIBUTION_TYPES.includes(spec.distribution)) {
+    throw new Error(`${name}: unknown distribution "${spec?.distribution}" (expected ${DISTRIBUTION_TYPES.join(', ')})`);
+  }
+  const base = BASE_DISTRIBUTIONS[spec.distribution](spec, name);
+
+  const min = isNumber(spec.min) ? Math.max(spec.min, base.support[0]) : base.support[0];
+  const max = isNumber(spec.max) ? Math.min(spec.max, base.support[1]) : base.support[1];
+  const lowerMass = Number.isFinite(min) ? base.cdf(min) : 0;
+  const upperMass = Number.isFinite(max) ? base.cdf(max) : 1;
+  if (!(min < max) || upperMass - lowerMass <= U_EPSILON) {
+    throw new Error(`${name}: bounds [${spec.min}, ${spec.max}] leave no probability mass for the ${spec.distribution} distribution`);
+  }
+
+  // Rescale p into the truncated band of the base CDF, then clamp for float error
+  const quantile = (p) => {
+    const clamped = Math.min(1 - U_EPSILON, Math.max(U_EPSILON, p));
+    const value = base.quantile(lowerMass + clamped * (upperMass - lowerMass));
+    return Math.min(max, Math.max(min, value));
+  };
+
+  return {
+    name,
+    spec,
+    bounds: { min, max },
+    quantile,
+    cdf: (x) => (x <= min ? 0 : x >= max ? 1 : (base.cdf(x) - lowerMass) / (upperMass - lowerMass)),
+    // Independent draw, or one driven by a (possibly correlated) standard normal
+    sample: (random) => quantile(random.next()),
+    fromNormal: (z) => quantile(standardNormalCdf(z))
+  };
+}
+
+// Throws when a draw falls outside the stated bounds
+function checkBounds(distribution, value) {
+  const { min, max } = distribution.bounds;
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${distribution.name}: sampled ${value} outside bounds [${min}, ${max}]`);
+  }
+  return value;
+}
+
+module.exports = {
+  createDistribution,
+  checkBounds,
+  standardNormalCdf,
+  standardNormalQuantile,
+  DISTRIBUTION_TYPES
+};
@@ -0,0 +1,96 @@
+// EBITDA NORMALIZATION - ADD-BACK SCHEDULE
+// Bridges reported EBITDA to the normalized figure a buyer underwrites
+
+const ADJUSTMENT_TYPES = {
+  owner_compensation: {
+    category: 'Owner compensation',
+    // Positive when the owner pays themself above market
+    impact: (adj) => adj.actual - adj.marketRate,
+    required: ['actual', 'marketRate']
+  },
+  one_time_expense: {
+    category: 'One-time expenses',
+    impact: (adj) => adj.amount,
+    required: ['amount']
+  },
+  related_party_rent: {
+    category: 'Related-party rent',
+    // Negative when the owner's building is leased to the clinic below market
+    impact: (adj) => adj.actual - adj.marketRate,
+    required: ['actual', 'marketRate']
+  },
+  non_recurring_revenue: {
+    category: 'Non-recurring revenue',
+    impact: (adj) => -adj.amount,
+    required: ['amount']
+  }
+};
+
+function normalizeAdjustment(adjustment, index) {
+  const definition = ADJUSTMENT_TYPES[adjustment.type];
+  if (!definition) {
+    throw new Error(`Unknown EBITDA adjustment type "${adjustment.type}" (adjustment ${index + 1})`);
+  }
+
+  const missing = definition.required.filter(field => typeof adjustment[field] !== 'number');
+  if (missing.length > 0) {
+    throw new Error(`EBITDA adjustment "${adjustment.type}" missing ${missing.join(', ')}`);
+  }
+
+  return {
+    type: adjustment.type,
+    category: definition.category,
+    description: adjustment.description || definition.category,
+    source: adjustment.source || null,
+    unsourced: !adjustment.source,
+    amount: definition.impact(adjustment)
+  };
+}
+
+function buildEbitdaBridge(reportedEbitda, adjustments = []) {
+  const normalized = adjustments.map(normalizeAdjustment);
+
+  const byCategory = {};
+  normalized.forEach(adj => {
+    byCategory[adj.category] = (byCategory[adj.category] || 0) + adj.amount;
+  });
+
+  const totalAdjustments = normalized.reduce((sum, adj) => sum + adj.amount, 0);
+  const normalizedEbitda = reportedEbitda + totalAdjustments;
+
+  // Waterfall steps: reported bar, one bar per adjustment, normalized total
+  const steps = [
+    { label: 'Reported EBITDA', value: reportedEbitda, measure: 'absolute' },
+    ...normalized.map(adj => ({ label: adj.description, value: adj.amount, measure: 'relative', category: adj.category })),
+    { label: 'Normalized EBITDA', value: normalizedEbitda, measure: 'total' }
+  ];
+
+  return {
+    reportedEbitda,
+    adjustments: normalized,
+    byCategory,
+    totalAdjustments,
+    normalizedEbitda,
+    adjustmentPercent: reportedEbitda ? totalAdjustments / reportedEbitda : 0,
+    steps
+  };
+}
+
+// Plotly waterfall trace for the EBITDA bridge chart
+function toWaterfallTrace(bridge) {
+  return {
+    type: 'waterfall',
+    orientation: 'v',
+    x: bridge.steps.map(step => step.label),
+    y: bridge.steps.map(step => step.value),
+    measure: bridge.steps.map(step => step.measure),
+    text: bridge.steps.map(step => `$${(step.value / 1000).toFixed(0)}K`),
+    textposition: 'outside'
+  };
+}
+
+module.exports = {
+  buildEbitdaBridge,
+  toWaterfallTrace,
+  ADJUSTMENT_TYPES
+};
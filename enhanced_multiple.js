@@ -0,0 +1,113 @@
+// ENHANCED MULTIPLE - MULTI-FACTOR ADJUSTMENT STACK
+// Base market multiple adjusted for location, size, efficiency, growth, business
+// model, market maturity and competition, with per-factor attribution
+
+const { loadMarketTable, getMarket } = require('./market_table');
+
+// Anything not listed resolves to a neutral 1.0
+const MATURITY_ADJUSTMENTS = {
+  growing: 1.02,
+  mature: 1.0,
+  saturated: 0.98
+};
+
+const COMPETITION_ADJUSTMENTS = {
+  low: 1.02,
+  moderate: 1.0,
+  high: 0.99,
+  very_high: 0.97
+};
+
+const GROWTH_BENCHMARK = 0.08;
+
+const FACTORS = [
+  {
+    key: 'location',
+    label: 'Location',
+    input: (deal, market) => market.key,
+    adjustment: (deal, market) => market.multiplier
+  },
+  {
+    key: 'size',
+    label: 'Size (EBITDA scale)',
+    input: (deal) => deal.ebitda,
+    adjustment: (deal) => deal.ebitda > 2e6 ? 1.25 :
+                          deal.ebitda > 1e6 ? 1.15 : 0.95
+  },
+  {
+    key: 'efficiency',
+    label: 'Operational efficiency',
+    input: (deal) => deal.ebitdaMargin,
+    adjustment: (deal) => deal.ebitdaMargin > 0.28 ? 1.12 :
+                          deal.ebitdaMargin > 0.22 ? 1.06 :
+                          deal.ebitdaMargin > 0.18 ? 1.02 :
+                          deal.ebitdaMargin > 0.15 ? 1.0 : 0.95
+  },
+  {
+    key: 'growth',
+    label: 'Growth',
+    input: (deal) => deal.growth,
+    // Two turns of premium per point of growth above benchmark, capped both ways
+    adjustment: (deal) => 1 + Math.max(-0.2, Math.min(0.3, (deal.growth - GROWTH_BENCHMARK) * 2.0))
+  },
+  {
+    key: 'businessModel',
+    label: 'Business model (locations)',
+    input: (deal) => deal.locations,
+    adjustment: (deal) => deal.locations > 2 ? 1.03 :
+                          deal.locations === 1 ? 0.98 : 1.0
+  },
+  {
+    key: 'maturity',
+    label: 'Market maturity',
+    input: (deal) => deal.maturity,
+    adjustment: (deal) => MATURITY_ADJUSTMENTS[deal.maturity] ?? 1.0
+  },
+  {
+    key: 'competition',
+    label: 'Competition',
+    input: (deal) => deal.competition,
+    adjustment: (deal) => COMPETITION_ADJUSTMENTS[deal.competition] ?? 1.0
+  }
+];
+
+// deal: { location, ebitda, ebitdaMargin, growth, locations, maturity, competition }
+// Missing inputs leave their factor neutral rather than guessing
+function calculateEnhancedMultiple(deal, table = loadMarketTable()) {
+  const market = getMarket(deal.location || table.defaultMarket, table);
+  const baseMultiple = table.baseMultiple;
+
+  const factors = FACTORS.map(factor => {
+    const input = factor.input(deal, market);
+    const provided = input !== undefined && input !== null;
+    return {
+      factor: factor.key,
+      label: factor.label,
+      input: provided ? input : null,
+      adjustment: provided ? factor.adjustment(deal, market) : 1.0,
+      applied: provided
+    };
+  });
+
+  const multiple = factors.reduce((product, factor) => product * factor.adjustment, baseMultiple);
+
+  // Log-mean attribution: order-independent, contributions sum to multiple - base
+  const totalLog = Math.log(multiple / baseMultiple);
+  const logMean = Math.abs(totalLog) > 1e-12 ? (multiple - baseMultiple) / totalLog : baseMultiple;
+  factors.forEach(factor => {
+    factor.contribution = logMean * Math.log(factor.adjustment);
+  });
+
+  return {
+    baseMultiple,
+    multiple,
+    market: market.key,
+    factors
+  };
+}
+
+module.exports = {
+  calculateEnhancedMultiple,
+  MATURITY_ADJUSTMENTS,
+  COMPETITION_ADJUSTMENTS
+};
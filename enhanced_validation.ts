@@ -1,6 +1,37 @@
 // ENHANCED VALIDATION FOR PRODUCTION DEPLOYMENT
 // Critical data validation and error handling improvements
 
+// Shape emitted by parseTextData / parseStructuredData in data_processor.js
+type FinancialReportInput = {
+  incomeStatement?: {
+    revenue?: number;
+    costOfGoodsSold?: number;
+    grossProfit?: number;
+    operatingExpenses?: number;
+    ebitda?: number;
+    depreciation?: number;
+    ebit?: number;
+    interestExpense?: number;
+    taxes?: number;
+    netIncome?: number;
+  };
+  balanceSheet?: {
+    cash?: number;
+    currentAssets?: number;
+    fixedAssets?: number;
+    totalAssets?: number;
+    currentLiabilities?: number;
+    shortTermDebt?: number;
+    longTermDebt?: number;
+    capitalLeases?: number;
+    deferredRevenue?: number;
+    prepaidPackages?: number;
+    deferredMemberships?: number;
+    totalLiabilities?: number;
+    equity?: number;
+  };
+};
+
 type ValidationResult = {
   isValid: boolean;
   errors: string[];
@@ -333,6 +364,7 @@ function formatPercent(value: number): string {
 }
 
 export {
+  FinancialReportInput,
   ValidationResult,
   validateFinancialData,
   parseAndValidateFinancialData,
@@ -0,0 +1,95 @@
+// EARNINGS POWER VALUE ENGINE
+// Greenwald-style EPV: normalized earnings capitalized at WACC, compared against
+// the cost of reproducing the clinic's assets to size the franchise
+
+// Fallbacks used when ModelParams predates the EPV fields
+const EPV_DEFAULTS = {
+  taxRate: 0.26,               // Blended federal + state
+  depreciationPercent: 0.03,   // D&A as % of revenue (lasers, buildout)
+  maintenancePercent: 0.02,
+  nwcPercent: 0.05,            // Net working capital as % of revenue
+  fixedAssetPercent: 0.35,     // Equipment + buildout replacement cost as % of revenue
+  workforceReplacementPercent: 0.15, // Recruiting/training cost as % of staff cost
+  ebitdaMargin: 0.25,
+  wacc: 0.12
+};
+
+function calculateEPV(modelParams, financials = {}) {
+  const revenue = financials.revenue ||
+                  Object.values(modelParams.baseYearRevenueBreakdown).reduce((a, b) => a + b, 0);
+  const ebitda = financials.ebitda || (revenue * EPV_DEFAULTS.ebitdaMargin);
+
+  const taxRate = modelParams.tax?.rate ?? EPV_DEFAULTS.taxRate;
+  const wacc = modelParams.discount?.wacc || EPV_DEFAULTS.wacc;
+  const depreciationPercent = modelParams.capex?.depreciationPercent ?? EPV_DEFAULTS.depreciationPercent;
+  const maintenancePercent = modelParams.capex?.maintenancePercent ?? EPV_DEFAULTS.maintenancePercent;
+
+  // Normalized operating earnings
+  const depreciation = financials.depreciation ?? (revenue * depreciationPercent);
+  const normalizedEBIT = ebitda - depreciation;
+  const taxes = Math.max(0, normalizedEBIT) * taxRate;
+  const nopat = normalizedEBIT - taxes;
+
+  // Only maintenance capex is charged; growth capex is excluded from earnings power
+  const maintenanceCapex = revenue * maintenancePercent;
+  const adjustedEarnings = nopat + depreciation - maintenanceCapex;
+
+  const earningsPowerValue = adjustedEarnings / wacc;
+  const reproductionValue = calculateReproductionValue(modelParams, revenue, financials);
+
+  const franchiseRatio = reproductionValue.total > 0 ? earningsPowerValue / reproductionValue.total : null;
+
+  return {
+    earningsPowerValue,
+    reproductionValue,
+    franchiseValue: earningsPowerValue - reproductionValue.total,
+    franchiseRatio,
+    moat: assessFranchise(franchiseRatio),
+    components: {
+      revenue,
+      ebitda,
+      depreciation,
+      normalizedEBIT,
+      taxRate,
+      taxes,
+      nopat,
+      maintenanceCapex,
+      adjustedEarnings,
+      wacc
+    }
+  };
+}
+
+// Cost for a new entrant to rebuild the clinic from scratch
+function calculateReproductionValue(modelParams, revenue, financials = {}) {
+  const nwcPercent = modelParams.workingCapital?.nwcPercent ?? EPV_DEFAULTS.nwcPercent;
+  const fixedAssetPercent = modelParams.capex?.fixedAssetPercent ?? EPV_DEFAULTS.fixedAssetPercent;
+  const staffCostPercent = modelParams.costs?.staffCostPercent || 0;
+
+  const components = {
+    netWorkingCapital: revenue * nwcPercent,
+    fixedAssets: financials.fixedAssets || (revenue * fixedAssetPercent),
+    // Acquiring the active patient base at today's CAC
+    patientBase: (modelParams.patients?.activePatients || 0) * (modelParams.patients?.cac || 0),
+    trainedWorkforce: revenue * staffCostPercent * EPV_DEFAULTS.workforceReplacementPercent
+  };
+
+  return {
+    ...components,
+    total: Object.values(components).reduce((a, b) => a + b, 0)
+  };
+}
+
+function assessFranchise(franchiseRatio) {
+  if (franchiseRatio === null) return 'Indeterminate';
+  if (franchiseRatio >= 1.5) return 'Strong economic moat';
+  if (franchiseRatio >= 1.1) return 'Moderate franchise';
+  if (franchiseRatio >= 0.9) return 'No franchise - competitive equilibrium';
+  return 'Value destruction - earnings below asset cost';
+}
+
+module.exports = {
+  calculateEPV,
+  calculateReproductionValue,
+  EPV_DEFAULTS
+};
@@ -0,0 +1,80 @@
+// ENTERPRISE VALUE TO EQUITY VALUE BRIDGE
+// Net debt, debt-like items and the working-capital true-up against a normalized peg
+
+function buildEquityBridge(enterpriseValue, balanceSheet = {}, options = {}) {
+  const assumptions = [];
+  const amount = (value, label) => {
+    if (typeof value === 'number' && !Number.isNaN(value)) return value;
+    assumptions.push(`${label} not reported - assumed nil`);
+    return 0;
+  };
+
+  const debt = amount(balanceSheet.longTermDebt, 'Debt') + (balanceSheet.shortTermDebt || 0);
+  const capitalLeases = amount(balanceSheet.capitalLeases, 'Capital leases');
+  const cash = amount(balanceSheet.cash, 'Cash');
+
+  // Prepaid packages and membership dues are services owed to patients: debt-like
+  const prepaidPackages = balanceSheet.prepaidPackages || 0;
+  const deferredMemberships = balanceSheet.deferredMemberships || 0;
+  const deferredRevenue = Math.max(balanceSheet.deferredRevenue || 0, prepaidPackages + deferredMemberships);
+  if (!deferredRevenue) {
+    assumptions.push('No deferred revenue from packages or memberships reported');
+  }
+
+  const workingCapital = calculateWorkingCapitalTrueUp(balanceSheet, deferredRevenue, options, assumptions);
+
+  const netDebt = debt + capitalLeases - cash;
+  const equityValue = enterpriseValue - netDebt - deferredRevenue + workingCapital.trueUp;
+
+  const steps = [
+    { label: 'Enterprise Value', value: enterpriseValue, measure: 'absolute' },
+    { label: 'Debt', value: -debt, measure: 'relative' },
+    { label: 'Capital Leases', value: -capitalLeases, measure: 'relative' },
+    { label: 'Cash', value: cash, measure: 'relative' },
+    { label: 'Deferred Revenue', value: -deferredRevenue, measure: 'relative' },
+    { label: 'NWC True-Up', value: workingCapital.trueUp, measure: 'relative' },
+    { label: 'Equity Value', value: equityValue, measure: 'total' }
+  ];
+
+  return {
+    enterpriseValue,
+    debt,
+    capitalLeases,
+    cash,
+    netDebt,
+    deferredRevenue: {
+      total: deferredRevenue,
+      prepaidPackages,
+      memberships: deferredMemberships
+    },
+    workingCapital,
+    equityValue,
+    steps,
+    assumptions
+  };
+}
+
+// Delivered operating NWC versus the normalized peg; the difference settles at close
+function calculateWorkingCapitalTrueUp(balanceSheet, deferredRevenue, options, assumptions) {
+  const revenue = options.revenue || 0;
+  const peg = options.nwcPeg ?? (revenue * (options.nwcPercent ?? 0.05));
+
+  const { currentAssets, currentLiabilities } = balanceSheet;
+  if (typeof currentAssets !== 'number' || typeof currentLiabilities !== 'number') {
+    assumptions.push('Current assets/liabilities not reported - NWC assumed delivered at peg');
+    return { delivered: peg, peg, trueUp: 0 };
+  }
+
+  // Cash and deferred revenue are bridged separately, so exclude them from operating NWC
+  const operatingAssets = currentAssets - (balanceSheet.cash || 0);
+  const operatingLiabilities = currentLiabilities - Math.min(deferredRevenue, currentLiabilities) -
+                               (balanceSheet.shortTermDebt || 0);
+  const delivered = operatingAssets - operatingLiabilities;
+
+  return { delivered, peg, trueUp: delivered - peg };
+}
+
+module.exports = {
+  buildEquityBridge,
+  calculateWorkingCapitalTrueUp
+};
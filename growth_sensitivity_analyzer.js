@@ -1,8 +1,13 @@
 // GROWTH SENSITIVITY ANALYSIS - MEDISPA INDUSTRY FOCUS
 // Critical growth considerations for the rapidly evolving medispa sector
 
-console.log("📈 MEDISPA GROWTH SENSITIVITY ANALYSIS");
-console.log("=".repeat(80));
+const { convertToModelParams } = require('./data_processor');
+const { runDCFProjection } = require('./dcf_projection');
+const { createLogger } = require('./logger');
+const { buildCorrelationMatrix, choleskyDecomposition, correlateNormals } = require('./correlation_matrix');
+const { resolveRandom } = require('./random');
+const { createDistribution, checkBounds } = require('./distributions');
+const { summarizeSimulation } = require('./monte_carlo_statistics');
 
 // Growth drivers specific to medispa industry
 const MEDISPA_GROWTH_DRIVERS = {
@@ -50,6 +55,8 @@ const MEDISPA_GROWTH_DRIVERS = {
 };
 
 // Growth scenario modeling
+// A scenario may also carry `distributions` (per-driver specs, see MONTE_CARLO_DRIVERS)
+// to shape the Monte Carlo run around it
 function generateGrowthScenarios(baseParams) {
   const scenarios = {
     conservative: {
@@ -114,7 +121,9 @@ function runGrowthSensitivityAnalysis(baseParams, scenarios) {
   console.log("-".repeat(60));
   
   const results = {};
-  const baseEV = calculateEnterpriseValue(baseParams);
+  // Changes are measured against the base case scenario, expanded the same way
+  const referenceParams = scenarios.base ? applyGrowthScenario(baseParams, scenarios.base) : completeModelParams(baseParams);
+  const baseEV = projectScenario(referenceParams).enterpriseValue;
   
   Object.entries(scenarios).forEach(([scenarioKey, scenario]) => {
     console.log(`\\n📊 ${scenario.name.toUpperCase()}`);
@@ -122,14 +131,24 @@ function runGrowthSensitivityAnalysis(baseParams, scenarios) {
     
     // Calculate adjusted parameters
     const adjustedParams = applyGrowthScenario(baseParams, scenario);
-    const scenarioEV = calculateEnterpriseValue(adjustedParams);
+    const projection = projectScenario(adjustedParams);
+    const scenarioEV = projection.enterpriseValue;
     
     const evChange = ((scenarioEV - baseEV) / baseEV) * 100;
-    const impliedMultiple = scenarioEV / adjustedParams.exitEbitda;
+    const impliedMultiple = scenarioEV / projection.years[0].ebitda;
+    const exitRow = projection.years[projection.years.length - 1];
+    const cumulativeFCF = projection.years.reduce((sum, row) => sum + row.fcf, 0);
     
     console.log(`Enterprise Value: ${formatCurrency(scenarioEV)}`);
     console.log(`EV Change vs Base: ${evChange > 0 ? '+' : ''}${evChange.toFixed(1)}%`);
-    console.log(`Implied EBITDA Multiple: ${impliedMultiple.toFixed(2)}x`);
+    console.log(`Implied EBITDA Multiple: ${impliedMultiple.toFixed(2)}x (Y1 EBITDA)`);
+    console.log(`Y${exitRow.year} Revenue: ${formatCurrency(exitRow.revenue)} (${(projection.revenueCAGR * 100).toFixed(1)}% CAGR)`);
+    console.log(`Y${exitRow.year} EBITDA Margin: ${(exitRow.ebitdaMargin * 100).toFixed(1)}%`);
+    console.log(`Cumulative FCF: ${formatCurrency(cumulativeFCF)}`);
+    const { expansion } = adjustedParams;
+    console.log(expansion.reported ?
+      `Expansion: +${expansion.hires} provider(s), +${expansion.rooms ?? 0} room(s), ${formatCurrency(expansion.capex)} capex` :
+      `Capacity Needed: ${expansion.providerFte.toFixed(1)} provider FTE, ${Math.ceil(expansion.roomsRequired)} room(s) by Y${exitRow.year} (headcount not reported, uncapped)`);
     
     // Growth driver breakdown
     console.log(`\\nGrowth Assumptions:`);
@@ -148,6 +167,8 @@ function runGrowthSensitivityAnalysis(baseParams, scenarios) {
       enterpriseValue: scenarioEV,
       evChange,
       impliedMultiple,
+      cumulativeFCF,
+      projection,
       adjustedParams
     };
   });
@@ -212,19 +233,38 @@ function runVariableSensitivityGrid() {
   });
 }
 
+// Growth driver correlations; pairs naming two Monte Carlo drivers also shape the sampling
+const GROWTH_DRIVER_CORRELATIONS = {
+  "Patient Growth ↔ Service Expansion": { correlation: 0.75, drivers: ['patientGrowth', 'serviceExpansion'], relationship: "Strong positive - new services drive patient acquisition" },
+  "Pricing Power ↔ Market Position": { correlation: 0.65, relationship: "Strong positive - premium positioning enables pricing" },
+  "Geographic Expansion ↔ Efficiency": { correlation: -0.45, drivers: ['marketExpansion', 'efficiency'], relationship: "Moderate negative - expansion can reduce efficiency short-term" },
+  "Technology Investment ↔ Margins": { correlation: 0.55, relationship: "Moderate positive - tech improves margins over time" },
+  "Male Market Growth ↔ Service Mix": { correlation: 0.70, relationship: "Strong positive - male patients drive specific services" },
+  "Social Media ↔ Patient Growth": { correlation: 0.80, relationship: "Very strong positive - critical for medispa growth" }
+};
+
+// Monte Carlo growth variables: annual-rate distribution per driver (see distributions.js).
+// Bounds keep draws realistic; an empirical spec ({ distribution: 'empirical', data: [...] })
+// can replace any of these with a practice's own history.
+const MONTE_CARLO_DRIVERS = {
+  patientGrowth: { distribution: 'truncatedNormal', mean: 0.08, stdDev: 0.05, min: -0.05, max: 0.25 },
+  pricingGrowth: { distribution: 'pert', min: 0, mode: 0.04, max: 0.08 },
+  serviceExpansion: { distribution: 'triangular', min: 0, mode: 0.06, max: 0.15 },
+  marketExpansion: { distribution: 'lognormal', mean: 0.04, stdDev: 0.03, max: 0.18 },
+  efficiency: { distribution: 'truncatedNormal', mean: 0.03, stdDev: 0.02, min: 0, max: 0.08 }
+};
+
+function driverCorrelationMatrix(variables = Object.keys(MONTE_CARLO_DRIVERS)) {
+  const pairs = Object.values(GROWTH_DRIVER_CORRELATIONS).filter(entry => entry.drivers);
+  return buildCorrelationMatrix(variables, pairs);
+}
+
 // Growth driver correlation analysis
 function analyzeGrowthDriverCorrelations() {
   console.log("\\n\\n🔗 GROWTH DRIVER CORRELATION ANALYSIS");
   console.log("-".repeat(60));
   
-  const correlations = {
-    "Patient Growth ↔ Service Expansion": { correlation: 0.75, relationship: "Strong positive - new services drive patient acquisition" },
-    "Pricing Power ↔ Market Position": { correlation: 0.65, relationship: "Strong positive - premium positioning enables pricing" },
-    "Geographic Expansion ↔ Efficiency": { correlation: -0.45, relationship: "Moderate negative - expansion can reduce efficiency short-term" },
-    "Technology Investment ↔ Margins": { correlation: 0.55, relationship: "Moderate positive - tech improves margins over time" },
-    "Male Market Growth ↔ Service Mix": { correlation: 0.70, relationship: "Strong positive - male patients drive specific services" },
-    "Social Media ↔ Patient Growth": { correlation: 0.80, relationship: "Very strong positive - critical for medispa growth" }
-  };
+  const correlations = GROWTH_DRIVER_CORRELATIONS;
   
   console.log("Key Growth Driver Relationships:");
   Object.entries(correlations).forEach(([relationship, data]) => {
@@ -236,6 +276,14 @@ function analyzeGrowthDriverCorrelations() {
     console.log(`  Correlation: ${data.correlation.toFixed(2)} (${strength})`);
     console.log(`  Insight: ${data.relationship}`);
   });
+  
+  const variables = Object.keys(MONTE_CARLO_DRIVERS);
+  const matrix = driverCorrelationMatrix(variables);
+  console.log("\\nMonte Carlo Sampling Matrix:");
+  console.log("".padEnd(18) + variables.map(variable => variable.slice(0, 9).padStart(10)).join(""));
+  matrix.forEach((row, i) => {
+    console.log(variables[i].padEnd(18) + row.map(value => value.toFixed(2).padStart(10)).join(""));
+  });
 }
 
 // Industry-specific growth considerations
@@ -299,36 +347,47 @@ function medispaGrowthConsiderations() {
 }
 
 // Monte Carlo simulation for growth uncertainty
-function runMonteCarloGrowthSimulation(iterations = 1000) {
+// options.seed (or options.random from random.js) makes the run reproducible;
+// options.distributions overrides MONTE_CARLO_DRIVERS per variable (e.g. a scenario's own specs);
+// options.purchasePrice adds the probability of EV finishing below it;
+// options.baseParams is the practice each draw is projected from (defaults to the reference practice)
+function runMonteCarloGrowthSimulation(iterations = 1000, options = {}) {
+  const baseParams = options.baseParams || buildReferenceParams();
+  const random = resolveRandom(options.random ?? options.seed);
+  const specs = { ...MONTE_CARLO_DRIVERS, ...(options.distributions || {}) };
+  const distributions = Object.fromEntries(Object.entries(specs)
+    .map(([variable, spec]) => [variable, createDistribution(spec, variable)]));
   console.log("\\n\\n🎲 MONTE CARLO GROWTH SIMULATION");
   console.log("-".repeat(60));
   console.log(`Running ${iterations} iterations to model growth uncertainty...`);
+  console.log(`Seed: ${random.seed} (re-run with this seed to reproduce)`);
+  Object.values(distributions).forEach(distribution => {
+    const { min, max } = distribution.bounds;
+    const range = `${Number.isFinite(min) ? `${(min * 100).toFixed(1)}%` : '-∞'} to ${Number.isFinite(max) ? `${(max * 100).toFixed(1)}%` : '∞'}`;
+    console.log(`  • ${distribution.name}: ${distribution.spec.distribution} (${range})`);
+  });
   
-  const results = [];
+  // Correlated standard normals via Cholesky, mapped onto each driver's distribution
+  const variables = Object.keys(distributions);
+  const lower = choleskyDecomposition(driverCorrelationMatrix(variables), variables);
+  const samples = [];
   
   for (let i = 0; i < iterations; i++) {
-    // Generate random growth variables within realistic ranges
-    const randomGrowth = {
-      patientGrowth: normalRandom(0.08, 0.05), // Mean 8%, std dev 5%
-      pricingGrowth: normalRandom(0.04, 0.02), // Mean 4%, std dev 2%
-      serviceExpansion: normalRandom(0.06, 0.04), // Mean 6%, std dev 4%
-      marketExpansion: normalRandom(0.04, 0.03), // Mean 4%, std dev 3%
-      efficiency: normalRandom(0.03, 0.02) // Mean 3%, std dev 2%
-    };
+    const z = correlateNormals(lower, variables.map(() => random.normal()));
+    const randomGrowth = {};
+    variables.forEach((variable, k) => {
+      const distribution = distributions[variable];
+      randomGrowth[variable] = checkBounds(distribution, distribution.fromNormal(z[k]));
+    });
     
-    // Calculate enterprise value for this iteration
-    const ev = calculateGrowthScenarioEV(randomGrowth);
-    results.push(ev);
+    // Value the draw through the same scenario DCF as the named scenarios
+    const ev = projectScenario(applyGrowthScenario(baseParams, { assumptions: randomGrowth })).enterpriseValue;
+    samples.push({ ev, drivers: randomGrowth });
   }
   
   // Statistical analysis
-  results.sort((a, b) => a - b);
-  const p10 = results[Math.floor(iterations * 0.10)];
-  const p25 = results[Math.floor(iterations * 0.25)];
-  const p50 = results[Math.floor(iterations * 0.50)];
-  const p75 = results[Math.floor(iterations * 0.75)];
-  const p90 = results[Math.floor(iterations * 0.90)];
-  const mean = results.reduce((a, b) => a + b) / results.length;
+  const summary = summarizeSimulation(samples, variables, { purchasePrice: options.purchasePrice });
+  const { p10, p25, p50, p75, p90 } = summary.percentiles;
   
   console.log("\\n📊 GROWTH UNCERTAINTY DISTRIBUTION:");
   console.log(`P10 (Worst 10%):     ${formatCurrency(p10)}`);
@@ -336,7 +395,8 @@ function runMonteCarloGrowthSimulation(iterations = 1000) {
   console.log(`P50 (Median):        ${formatCurrency(p50)}`);
   console.log(`P75 (Upper Quartile): ${formatCurrency(p75)}`);
   console.log(`P90 (Best 10%):      ${formatCurrency(p90)}`);
-  console.log(`Mean:                ${formatCurrency(mean)}`);
+  console.log(`Mean:                ${formatCurrency(summary.mean)}`);
+  console.log(`Std Dev:             ${formatCurrency(summary.stdDev)} (skew ${summary.skew.toFixed(2)})`);
   
   console.log("\\n🎯 RISK ASSESSMENT:");
   const downside = ((p25 - p50) / p50) * 100;
@@ -344,35 +404,108 @@ function runMonteCarloGrowthSimulation(iterations = 1000) {
   console.log(`Downside Risk (P25): ${downside.toFixed(1)}%`);
   console.log(`Upside Potential (P75): +${upside.toFixed(1)}%`);
   console.log(`Value at Risk (P10): ${formatCurrency(p50 - p10)} (${(((p50 - p10) / p50) * 100).toFixed(1)}%)`);
+  console.log(`CVaR 5% / 10% (mean of worst outcomes): ${formatCurrency(summary.cvar.p5)} / ${formatCurrency(summary.cvar.p10)}`);
+  if (summary.probabilityBelowPurchasePrice !== null) {
+    console.log(`P(EV < ${formatCurrency(summary.purchasePrice)} purchase price): ${(summary.probabilityBelowPurchasePrice * 100).toFixed(1)}%`);
+  }
+  
+  console.log("\\n🌪️ CONTRIBUTION TO VARIANCE:");
+  summary.tornado.forEach(row => {
+    const bar = '█'.repeat(Math.round(row.contribution * 40));
+    console.log(`${row.driver.padEnd(18)} ${(row.contribution * 100).toFixed(1).padStart(5)}% ${row.rankCorrelation < 0 ? '-' : '+'} ${bar}`);
+  });
+  
+  return {
+    seed: random.seed,
+    iterations,
+    distributions: specs,
+    ...summary,
+    samples
+  };
 }
 
 // Helper functions
+const MODEL_SECTIONS = ['patients', 'pricing', 'volume', 'costs', 'capacity', 'growth', 'capex', 'discount', 'exit'];
+
+// Partial ModelParams (e.g. only baseYearRevenueBreakdown and exit) are filled in with the
+// defaults convertToModelParams gives a practice of that revenue; supplied values win
+function completeModelParams(params) {
+  if (!params || !params.baseYearRevenueBreakdown) {
+    throw new Error('Growth scenarios need ModelParams with at least baseYearRevenueBreakdown');
+  }
+  if (MODEL_SECTIONS.every(section => params[section])) return params;
+  
+  const breakdown = params.baseYearRevenueBreakdown;
+  const total = Object.values(breakdown).reduce((a, b) => a + b, 0);
+  const defaults = convertToModelParams({
+    revenue: { total, ...breakdown },
+    profitability: {},
+    patients: {}
+  }, createLogger({ mode: 'silent' }));
+  
+  const completed = { ...defaults };
+  Object.entries(params).forEach(([key, value]) => {
+    const nested = value && typeof value === 'object' && !Array.isArray(value) && defaults[key];
+    completed[key] = nested ? { ...defaults[key], ...value } : value;
+  });
+  return completed;
+}
+
+// Scenario drivers flow into the DCF inputs: patient and market expansion set the net growth
+// of the active base (new patients are solved to cover churn plus that growth), service
+// expansion lifts visit frequency, and efficiency trims churn and, each year after the base
+// year, the staff/admin cost share (on top of the cost calibration to reported EBITDA).
+// The capacity the scenario's demand needs is hired/built up front and its capex spread
+// across the projection.
 function applyGrowthScenario(baseParams, scenario) {
-  const adjusted = JSON.parse(JSON.stringify(baseParams));
+  const adjusted = JSON.parse(JSON.stringify(completeModelParams(baseParams)));
+  const { patientGrowth, pricingGrowth, serviceExpansion, marketExpansion, efficiency } = scenario.assumptions;
   
-  // Apply growth assumptions to parameters
   adjusted.growth = {
-    newPatients: scenario.assumptions.patientGrowth,
-    pricing: scenario.assumptions.pricingGrowth,
-    frequency: scenario.assumptions.serviceExpansion * 0.5,
-    churnImprovement: -(scenario.assumptions.efficiency * 0.3)
+    newPatients: patientGrowth + marketExpansion,
+    activePatients: patientGrowth + marketExpansion,
+    pricing: pricingGrowth,
+    frequency: serviceExpansion * 0.5,
+    churnImprovement: -(efficiency * 0.3),
+    opexEfficiency: efficiency
   };
   
   // Adjust exit multiple based on growth profile
-  const growthPremium = (scenario.assumptions.patientGrowth + 
-                        scenario.assumptions.serviceExpansion + 
-                        scenario.assumptions.marketExpansion) * 2;
-  adjusted.exit.exitMultipleEBITDA = 8.2 + growthPremium;
+  const growthPremium = (patientGrowth + serviceExpansion + marketExpansion) * 2;
+  adjusted.exit.exitMultipleEBITDA = baseParams.exit.exitMultipleEBITDA + growthPremium;
+  
+  // First pass at current capacity shows the hires and rooms the demand needs
+  // (only where headcount / rooms were reported - unreported capacity never binds)
+  const needs = projectScenario(adjusted).capacity;
+  // (hires count from the headcount the base year shows it is already serving with)
+  Object.entries(needs.hiresNeeded).forEach(([role, hires]) => {
+    if (hires !== null) adjusted.capacity[role] = needs.servingHeadcount[role] + hires;
+  });
+  if (needs.roomsNeeded !== null) adjusted.capacity.rooms = needs.servingRooms + needs.roomsNeeded;
+  
+  const years = adjusted.exit.exitYear;
+  const capexGrowth = adjusted.capex.growthCapexGrowth;
+  const annuity = Array.from({ length: years }, (_, i) => Math.pow(1 + capexGrowth, i)).reduce((a, b) => a + b, 0);
+  adjusted.capex.growthCapexYear1 += needs.roomCapex / annuity;
+  adjusted.expansion = {
+    reported: needs.reported,
+    hires: needs.totalHires,
+    rooms: needs.roomsNeeded,
+    capex: needs.roomCapex,
+    providerFte: Object.values(needs.fteRequired).reduce((a, b) => a + b, 0),
+    roomsRequired: needs.roomsRequired
+  };
   
   return adjusted;
 }
 
-function calculateEnterpriseValue(params) {
-  // Simplified EV calculation for sensitivity analysis
+// Base-year EBITDA stays at the practice's own (normalized) figure; the scenario moves
+// the years after it. The industry margin stands in only when EBITDA is unknown.
+const DEFAULT_EBITDA_MARGIN = 0.25;
+
+function projectScenario(params) {
   const baseRevenue = Object.values(params.baseYearRevenueBreakdown).reduce((a, b) => a + b, 0);
-  const projectedRevenue = baseRevenue * Math.pow(1.08, 5); // 5-year projection
-  const exitEbitda = projectedRevenue * 0.25; // 25% margin
-  return exitEbitda * (params.exit?.exitMultipleEBITDA || 8.2);
+  return runDCFProjection(params, { baseEBITDA: params.baseYearEBITDA ?? baseRevenue * DEFAULT_EBITDA_MARGIN });
 }
 
 function calculateGrowthImpact(growthRate) {
@@ -380,21 +513,6 @@ function calculateGrowthImpact(growthRate) {
   return growthRate * 300; // 1% growth = ~3% EV impact
 }
 
-function calculateGrowthScenarioEV(growthParams) {
-  // Simplified EV calculation for Monte Carlo
-  const baseEV = 8000000;
-  const totalGrowthImpact = Object.values(growthParams).reduce((a, b) => a + b, 0);
-  return baseEV * (1 + totalGrowthImpact * 5); // 5-year compound impact
-}
-
-function normalRandom(mean, stdDev) {
-  // Box-Muller transformation for normal distribution
-  const u1 = Math.random();
-  const u2 = Math.random();
-  const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-  return mean + stdDev * z0;
-}
-
 function formatCurrency(value) {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
@@ -404,25 +522,32 @@ function formatCurrency(value) {
   }).format(value);
 }
 
-// Main execution function
-function runComprehensiveGrowthAnalysis() {
+// Base parameters for analysis: full ModelParams around a $3.5M practice
+function buildReferenceParams() {
+  const revenueBreakdown = {
+    injectables: 2000000,
+    lasers: 600000,
+    skincare: 400000,
+    memberships: 300000,
+    retail: 200000
+  };
+  const totalRevenue = Object.values(revenueBreakdown).reduce((a, b) => a + b, 0);
+  return convertToModelParams({
+    revenue: { total: totalRevenue, ...revenueBreakdown },
+    profitability: {},
+    patients: {}
+  }, createLogger({ mode: 'silent' }));
+}
+
+// Main execution function; options.seed fixes the Monte Carlo draws and
+// options.distributions overrides driver distributions on top of the base scenario's;
+// options.purchasePrice is tested against the simulated EVs
+function runComprehensiveGrowthAnalysis(options = {}) {
   console.log("🚀 COMPREHENSIVE MEDISPA GROWTH SENSITIVITY ANALYSIS");
   console.log("Analyzing growth considerations critical to medispa industry success");
   console.log("=".repeat(80));
   
-  // Base parameters for analysis
-  const baseParams = {
-    baseYearRevenueBreakdown: {
-      injectables: 2000000,
-      lasers: 600000,
-      skincare: 400000,
-      memberships: 300000,
-      retail: 200000
-    },
-    exit: {
-      exitMultipleEBITDA: 8.2
-    }
-  };
+  const baseParams = buildReferenceParams();
   
   // Run all analyses
   const scenarios = generateGrowthScenarios(baseParams);
@@ -431,7 +556,12 @@ function runComprehensiveGrowthAnalysis() {
   runVariableSensitivityGrid();
   analyzeGrowthDriverCorrelations();
   medispaGrowthConsiderations();
-  runMonteCarloGrowthSimulation(1000);
+  const monteCarlo = runMonteCarloGrowthSimulation(1000, {
+    baseParams,
+    seed: options.seed,
+    distributions: { ...scenarios.base.distributions, ...options.distributions },
+    purchasePrice: options.purchasePrice
+  });
   
   console.log("\\n" + "=".repeat(80));
   console.log("🎯 GROWTH SENSITIVITY ANALYSIS COMPLETE");
@@ -440,18 +570,32 @@ function runComprehensiveGrowthAnalysis() {
   
   return {
     scenarios: scenarioResults,
+    monteCarlo,
     growthDrivers: MEDISPA_GROWTH_DRIVERS
   };
 }
 
-// Execute analysis
+// Execute analysis: node growth_sensitivity_analyzer.js [--seed N] [--purchase-price N]
 if (require.main === module) {
-  runComprehensiveGrowthAnalysis();
+  console.log("📈 MEDISPA GROWTH SENSITIVITY ANALYSIS");
+  console.log("=".repeat(80));
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+  };
+  const purchasePrice = argValue('--purchase-price');
+  runComprehensiveGrowthAnalysis({
+    seed: argValue('--seed'),
+    purchasePrice: purchasePrice !== undefined ? Number(purchasePrice) : undefined
+  });
 }
 
 module.exports = {
   runComprehensiveGrowthAnalysis,
   generateGrowthScenarios,
   runGrowthSensitivityAnalysis,
-  MEDISPA_GROWTH_DRIVERS
+  runMonteCarloGrowthSimulation,
+  MEDISPA_GROWTH_DRIVERS,
+  GROWTH_DRIVER_CORRELATIONS,
+  MONTE_CARLO_DRIVERS
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+// PLUGGABLE LOGGER
+// pretty (console banners), json (one structured line per event on stderr) or silent.
+// Any object with debug/info/warn/error(message, fields) can be passed instead.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function createLogger(options = {}) {
+  const mode = options.mode || 'pretty';
+  const threshold = LOG_LEVELS[options.level || 'info'];
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level "${options.level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+
+  const write = {
+    silent: () => {},
+    pretty: (level, message) => {
+      if (level === 'error') console.error(message);
+      else if (level === 'warn') console.warn(message);
+      else console.log(message);
+    },
+    json: (level, message, fields) => {
+      const stream = options.stream || process.stderr;
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level, message, ...fields }) + '\n');
+    }
+  }[mode];
+  if (!write) {
+    throw new Error(`Unknown logger mode "${mode}" (expected pretty, json, silent)`);
+  }
+
+  const logger = { mode, level: options.level || 'info' };
+  Object.keys(LOG_LEVELS).forEach(level => {
+    logger[level] = (message, fields = {}) => {
+      if (LOG_LEVELS[level] >= threshold) write(level, message, fields);
+    };
+  });
+  return logger;
+}
+
+// Accepts a logger object, a mode name ('silent', 'json', 'pretty') or nothing
+function resolveLogger(logger, level) {
+  if (logger && typeof logger === 'object') return logger;
+  return createLogger({ mode: logger || 'pretty', level });
+}
+
+module.exports = {
+  createLogger,
+  resolveLogger,
+  LOG_LEVELS
+};
@@ -0,0 +1,89 @@
+// MARKET DEFINITION TABLE
+// Single source for location multipliers, tiers and WACC adjustments (markets.json)
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MARKET_FILE = path.join(__dirname, 'markets.json');
+const REQUIRED_FIELDS = ['name', 'tier', 'multiplier', 'waccAdjustment', 'aliases'];
+
+const tableCache = {};
+
+function loadMarketTable(filePath = process.env.EPV_MARKETS_FILE || DEFAULT_MARKET_FILE) {
+  if (tableCache[filePath]) return tableCache[filePath];
+
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  validateMarketTable(table, filePath);
+  tableCache[filePath] = table;
+  return table;
+}
+
+function validateMarketTable(table, source) {
+  if (!table.markets || !table.markets[table.defaultMarket]) {
+    throw new Error(`Market table ${source} must define markets including default "${table.defaultMarket}"`);
+  }
+
+  Object.entries(table.markets).forEach(([key, market]) => {
+    const missing = REQUIRED_FIELDS.filter(field => market[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Market "${key}" in ${source} missing ${missing.join(', ')}`);
+    }
+    if (typeof market.multiplier !== 'number' || market.multiplier <= 0) {
+      throw new Error(`Market "${key}" in ${source} has invalid multiplier ${market.multiplier}`);
+    }
+  });
+}
+
+function getMarket(key, table = loadMarketTable()) {
+  const market = table.markets[key] || table.markets[table.defaultMarket];
+  return { key: table.markets[key] ? key : table.defaultMarket, ...market };
+}
+
+// Resolve free-form locations: market keys, names, aliases, "City, ST" and zip codes
+function lookupMarket(query, table = loadMarketTable()) {
+  const fallback = { ...getMarket(table.defaultMarket, table), matchedBy: 'default', query };
+  if (!query) return fallback;
+
+  const text = String(query).trim();
+  const entries = Object.entries(table.markets);
+
+  const zip = text.match(/\b([0-9]{5})(?:-[0-9]{4})?\b/);
+  if (zip) {
+    const exact = entries.find(([, market]) => (market.zipCodes || []).includes(zip[1]));
+    const prefix = exact || entries.find(([, market]) => (market.zipPrefixes || []).includes(zip[1].slice(0, 3)));
+    if (prefix) return { key: prefix[0], ...prefix[1], matchedBy: 'zip', query };
+  }
+
+  const cityState = text.match(/^([^,]+),\s*([A-Za-z]{2})\b/);
+  const city = normalizeName(cityState ? cityState[1] : text.replace(/\b[0-9]{5}(?:-[0-9]{4})?\b/, ''));
+  const state = cityState ? cityState[2].toUpperCase() : null;
+
+  const match = entries.find(([key, market]) =>
+    [key, market.name, ...market.aliases].some(name => normalizeName(name) === city) &&
+    (!state || !market.state || market.state === state));
+
+  if (match) {
+    return { key: match[0], ...match[1], matchedBy: cityState ? 'city-state' : 'name', query };
+  }
+  return fallback;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Every recognizable market name, longest first, for text extraction patterns
+function marketNames(table = loadMarketTable()) {
+  return Object.entries(table.markets)
+    .filter(([key]) => key !== table.defaultMarket)
+    .flatMap(([, market]) => [market.name, ...market.aliases])
+    .sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+  loadMarketTable,
+  getMarket,
+  lookupMarket,
+  marketNames,
+  DEFAULT_MARKET_FILE
+};
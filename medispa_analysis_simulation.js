@@ -1,6 +1,21 @@
 // COMPREHENSIVE MEDISPA FINANCIAL ANALYSIS SIMULATION
 // Simulating CLI commands and their outputs for full platform demonstration
 
+const { convertToModelParams } = require('./data_processor');
+const { runDCFProjection, formatProjectionTable } = require('./dcf_projection');
+const { calculateUnitEconomics } = require('./unit_economics');
+const { resolveLogger } = require('./logger');
+const { generateGrowthScenarios, runGrowthSensitivityAnalysis, runMonteCarloGrowthSimulation } = require('./growth_sensitivity_analyzer');
+
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
+
 console.log("=".repeat(80));
 console.log("LUXURY AESTHETICS MEDICAL SPA - COMPREHENSIVE FINANCIAL ANALYSIS");
 console.log("=".repeat(80));
@@ -61,31 +76,35 @@ console.log("");
 
 console.log("Command: run");
 console.log("");
+const baselineParams = convertToModelParams({
+  revenue: { total: 3500000 },
+  profitability: { ebitda: 875000 },
+  patients: {}
+}, resolveLogger('silent'));
+const baseline = runDCFProjection(baselineParams, { baseEBITDA: 875000 });
+const firstYear = baseline.years[0];
+const unitEconomics = calculateUnitEconomics(baselineParams);
+
 console.log("— Run Summary —");
 console.log("Metric             Value");
-console.log("Enterprise Value   $8,245,000");
-console.log("PV of FCF          $4,125,000");
-console.log("PV of Terminal     $4,120,000");
-console.log("Exit Year          5");
-console.log("Exit EBITDA        $1,485,000");
-console.log("Y1 Revenue         $3,500,000");
-console.log("Y1 EBITDA          $875,000");
-console.log("Y1 EBITDA %        25.0%");
-console.log("Revenue CAGR       8.5%");
-console.log("Capacity Util Y1   72.0%");
-console.log("LTV                $2,850");
-console.log("LTV/CAC            8.10");
-console.log("Payback (mo)       4.8");
+console.log(`Enterprise Value   ${formatCurrency(baseline.enterpriseValue)}`);
+console.log(`PV of FCF          ${formatCurrency(baseline.pvFCF)}`);
+console.log(`PV of Terminal     ${formatCurrency(baseline.pvTerminal)}`);
+console.log(`Exit Year          ${baseline.exitYear}`);
+console.log(`Exit EBITDA        ${formatCurrency(baseline.exitEBITDA)}`);
+console.log(`Y1 Revenue         ${formatCurrency(firstYear.revenue)}`);
+console.log(`Y1 EBITDA          ${formatCurrency(firstYear.ebitda)}`);
+console.log(`Y1 EBITDA %        ${(firstYear.ebitdaMargin * 100).toFixed(1)}%`);
+console.log(`Revenue CAGR       ${(baseline.revenueCAGR * 100).toFixed(1)}%`);
+console.log(`Capacity Util Y1   ${firstYear.capacity.utilization.overall !== null ? `${(firstYear.capacity.utilization.overall * 100).toFixed(1)}%` : 'n/a (headcount not reported)'}`);
+console.log(`LTV                ${formatCurrency(unitEconomics.ltv)}`);
+console.log(`LTV/CAC            ${unitEconomics.ltvToCac !== null ? unitEconomics.ltvToCac.toFixed(2) : 'n/a'}`);
+console.log(`Payback (mo)       ${unitEconomics.paybackMonths !== null ? unitEconomics.paybackMonths.toFixed(1) : 'n/a'}`);
 console.log("");
 
 // Year-by-year projections
 console.log("Year-by-Year Financial Projections:");
-console.log("Yr   Revenue      EBITDA%   FCF        CapUtil   EBITDA      ΔNWC");
-console.log("1    $3,500,000   25.0%     $658,000   72.0%     $875,000    $98,000");
-console.log("2    $3,808,000   26.1%     $745,000   74.5%     $994,000    $75,000");
-console.log("3    $4,142,000   27.0%     $835,000   77.2%     $1,118,000  $82,000");
-console.log("4    $4,504,000   27.8%     $932,000   79.8%     $1,252,000  $89,000");
-console.log("5    $4,897,000   28.5%     $1,035,000 82.1%     $1,396,000  $96,000");
+console.log(formatProjectionTable(baseline));
 console.log("");
 
 // Key Ratios Analysis
@@ -95,86 +114,68 @@ console.log("- EBITDA Margin: 20.0% (Strong - industry range 15-25%)");
 console.log("- Net Margin: 11.3% (Healthy - above industry median of 8%)");
 console.log("- Current Ratio: 2.02 (Strong liquidity position)");
 console.log("- Debt/Equity: 1.04 (Moderate leverage, manageable)");
-console.log("- LTV/CAC: 8.10 (Excellent unit economics)");
-console.log("- Payback Period: 4.8 months (Very strong customer acquisition)");
+console.log(unitEconomics.ltvToCac !== null ?
+  `- LTV/CAC: ${unitEconomics.ltvToCac.toFixed(2)} (${unitEconomics.ltvToCac >= 5 ? 'Excellent' : unitEconomics.ltvToCac >= 3 ? 'Healthy' : 'Weak'} unit economics)` :
+  '- LTV/CAC: n/a (no CAC)');
+console.log(unitEconomics.paybackMonths !== null ?
+  `- Payback Period: ${unitEconomics.paybackMonths.toFixed(1)} months (${unitEconomics.paybackMonths <= 12 ? 'Very strong' : 'Slow'} customer acquisition)` :
+  '- Payback Period: n/a (no CAC)');
 console.log("");
 
 console.log("PHASE 3: SENSITIVITY ANALYSIS");
 console.log("-".repeat(50));
 console.log("");
 
-console.log("Command: sens discount.wacc=8%,10%,12% exit.exitMultipleEBITDA=6,8,10");
+// Every figure below re-runs the baseline projection with the swept assumptions
+const projectWith = (change) => {
+  const params = JSON.parse(JSON.stringify(baselineParams));
+  change(params);
+  return runDCFProjection(params, { baseEBITDA: 875000 }).enterpriseValue;
+};
+const WACCS = [0.08, 0.10, 0.12];
+const EXIT_MULTIPLES = [6, 8, 10];
+const CHURN_RATES = [0.20, 0.25, 0.30];
+
+console.log(`Command: sens discount.wacc=${WACCS.map(w => `${w * 100}%`).join(',')} exit.exitMultipleEBITDA=${EXIT_MULTIPLES.join(',')}`);
 console.log("");
 console.log("Sensitivity EV Grid:");
-console.log("              6              8              10");
-console.log("8%            $9,847,000     $11,245,000    $12,643,000");
-console.log("10%           $8,654,000     $9,847,000     $11,040,000");
-console.log("12%           $7,692,000     $8,654,000     $9,616,000");
+console.log(`${''.padEnd(14)}${EXIT_MULTIPLES.map(multiple => String(multiple).padEnd(15)).join('')}`);
+WACCS.forEach(wacc => {
+  const row = EXIT_MULTIPLES.map(multiple => formatCurrency(projectWith(params => {
+    params.discount.wacc = wacc;
+    params.exit.exitMultipleEBITDA = multiple;
+  })).padEnd(15));
+  console.log(`${`${wacc * 100}%`.padEnd(14)}${row.join('')}`);
+});
 console.log("");
 
-console.log("Command: sens patients.churnRate=20%,25%,30%");
+console.log(`Command: sens patients.churnRate=${CHURN_RATES.map(c => `${c * 100}%`).join(',')}`);
 console.log("");
 console.log("Churn Rate Impact on Enterprise Value:");
-console.log("20%           $9,145,000");
-console.log("25%           $8,245,000");
-console.log("30%           $7,234,000");
+CHURN_RATES.forEach(churnRate => {
+  console.log(`${`${churnRate * 100}%`.padEnd(14)}${formatCurrency(projectWith(params => { params.patients.churnRate = churnRate; }))}`);
+});
 console.log("");
 
 console.log("PHASE 4: MONTE CARLO SIMULATION");
 console.log("-".repeat(50));
 console.log("");
 
-console.log("Command: mc 1000");
+console.log("Command: mc 1000 --seed 2024");
+const monteCarlo = runMonteCarloGrowthSimulation(1000, { baseParams: baselineParams, seed: 2024 });
 console.log("");
-console.log("Running Monte Carlo (1000)...");
-console.log("EV p5:  $5,847,000");
-console.log("EV p50: $8,245,000");
-console.log("EV p95: $11,432,000");
-console.log("Prob LTV/CAC > 3: 89.4%");
-console.log("Prob EV < 0: 0.2%");
+console.log(`EV p5:  ${formatCurrency(monteCarlo.percentiles.p5)}`);
+console.log(`EV p50: ${formatCurrency(monteCarlo.percentiles.p50)}`);
+console.log(`EV p95: ${formatCurrency(monteCarlo.percentiles.p95)}`);
+console.log(`Prob EV < 0: ${(monteCarlo.samples.filter(sample => sample.ev < 0).length / monteCarlo.iterations * 100).toFixed(1)}%`);
 console.log("");
 
 console.log("PHASE 5: SCENARIO ANALYSIS");
 console.log("-".repeat(50));
 console.log("");
 
-// Growth Scenario
-console.log("GROWTH SCENARIO ANALYSIS:");
-console.log("Command: preset growth");
-console.log("Applied preset 'growth'.");
-console.log("");
-console.log("Command: run");
-console.log("— Growth Scenario Results —");
-console.log("Enterprise Value   $10,847,000");
-console.log("Y1 EBITDA %        27.5%");
-console.log("Revenue CAGR       12.8%");
-console.log("LTV/CAC            9.85");
-console.log("");
-
-// Lean Scenario  
-console.log("LEAN SCENARIO ANALYSIS:");
-console.log("Command: preset lean");
-console.log("Applied preset 'lean'.");
-console.log("");
-console.log("Command: run");
-console.log("— Lean Scenario Results —");
-console.log("Enterprise Value   $6,945,000");
-console.log("Y1 EBITDA %        22.8%");
-console.log("Revenue CAGR       6.2%");
-console.log("LTV/CAC            7.45");
-console.log("");
-
-// Premium Scenario
-console.log("PREMIUM SCENARIO ANALYSIS:");
-console.log("Command: preset premium");
-console.log("Applied preset 'premium'.");
-console.log("");
-console.log("Command: run");
-console.log("— Premium Scenario Results —");
-console.log("Enterprise Value   $9,547,000");
-console.log("Y1 EBITDA %        26.2%");
-console.log("Revenue CAGR       9.8%");
-console.log("LTV/CAC            8.67");
+console.log("Command: scenarios");
+runGrowthSensitivityAnalysis(baselineParams, generateGrowthScenarios(baselineParams));
 console.log("");
 
 console.log("=".repeat(80));
@@ -0,0 +1,104 @@
+// MONTE CARLO BEHAVIOR CHECKS
+// Correlated, seeded, bounded draws and DCF-valued samples for the growth simulation:
+// node monte_carlo_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { buildCorrelationMatrix, choleskyDecomposition } = require('./correlation_matrix');
+const { createRandom } = require('./random');
+const { runMonteCarloGrowthSimulation, MONTE_CARLO_DRIVERS } = require('./growth_sensitivity_analyzer');
+const { processFinancialData, convertToModelParams } = require('./data_processor');
+const { createLogger } = require('./logger');
+const { createCheckRun, close, quietly } = require('./behavior_checks');
+
+const DRIVERS = ['patientGrowth', 'serviceExpansion', 'marketExpansion'];
+const ITERATIONS = 200;
+
+function practice(totalRevenue) {
+  return convertToModelParams({
+    revenue: { total: totalRevenue },
+    profitability: {},
+    patients: {}
+  }, createLogger({ mode: 'silent' }));
+}
+
+const simulate = (options) => quietly(() => runMonteCarloGrowthSimulation(ITERATIONS, options));
+
+const { check, finish } = createCheckRun("🎲 MONTE CARLO BEHAVIOR CHECKS", 'MONTE CARLO');
+
+check('Cholesky factor reproduces the correlation matrix', () => {
+  const matrix = buildCorrelationMatrix(DRIVERS, [
+    { drivers: ['patientGrowth', 'serviceExpansion'], correlation: 0.75 },
+    { drivers: ['patientGrowth', 'marketExpansion'], correlation: 0.4 }
+  ]);
+  const lower = choleskyDecomposition(matrix, DRIVERS);
+  matrix.forEach((row, i) => row.forEach((value, j) => {
+    const product = lower[i].reduce((sum, weight, k) => sum + weight * lower[j][k], 0);
+    close(product, value, 1e-12, `L·Lᵀ[${i}][${j}]`);
+  }));
+});
+
+check('Contradictory correlations are rejected as not positive semi-definite', () => {
+  const matrix = buildCorrelationMatrix(DRIVERS, [
+    { drivers: ['patientGrowth', 'serviceExpansion'], correlation: 0.9 },
+    { drivers: ['patientGrowth', 'marketExpansion'], correlation: 0.9 },
+    { drivers: ['serviceExpansion', 'marketExpansion'], correlation: -0.9 }
+  ]);
+  assert.throws(() => choleskyDecomposition(matrix, DRIVERS), /not positive semi-definite/);
+  assert.throws(() => buildCorrelationMatrix(DRIVERS, [{ drivers: ['patientGrowth', 'churn'], correlation: 0.5 }]),
+    /unknown driver/);
+});
+
+check('Same seed, same sequence', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const draws = random => Array.from({ length: 5 }, () => random.normal());
+  assert.deepStrictEqual(draws(a), draws(b));
+  assert.throws(() => createRandom(-1), /Seed must be an integer/);
+});
+
+check('Seeded growth simulation replays exactly', () => {
+  const first = simulate({ seed: 7 });
+  const second = simulate({ seed: 7 });
+  assert.strictEqual(first.seed, 7);
+  assert.deepStrictEqual(first.samples, second.samples);
+  assert.notDeepStrictEqual(simulate({ seed: 8 }).samples, first.samples);
+});
+
+check('Every draw stays inside its distribution bounds', () => {
+  const { samples } = simulate({ seed: 11 });
+  Object.entries(MONTE_CARLO_DRIVERS).forEach(([variable, spec]) => {
+    samples.forEach(({ drivers }) => {
+      if (spec.min !== undefined) assert.ok(drivers[variable] >= spec.min, `${variable} below ${spec.min}`);
+      if (spec.max !== undefined) assert.ok(drivers[variable] <= spec.max, `${variable} above ${spec.max}`);
+    });
+  });
+});
+
+check('Draws are valued through the projection of the practice passed in', () => {
+  const small = simulate({ seed: 3, baseParams: practice(2000000) });
+  const large = simulate({ seed: 3, baseParams: practice(4000000) });
+  const ratio = large.mean / small.mean;
+  assert.ok(ratio > 1.8 && ratio < 2.2, `EV should scale with the practice (ratio ${ratio.toFixed(2)})`);
+});
+
+check('Draws for a practice reporting EBITDA start from that EBITDA, like the processor DCF', () => {
+  const result = processFinancialData('Medispa, $3M revenue, $450K EBITDA', { logger: 'silent' });
+  assert.ok(result.success, result.error);
+  const dcfValue = result.rawResults.dcf.enterpriseValue;
+  const { percentiles } = simulate({ seed: 3, baseParams: result.modelParams });
+  const ratio = percentiles.p50 / dcfValue;
+  assert.ok(ratio > 0.67 && ratio < 1.5, `P50 should be on the DCF's scale (P50 ${Math.round(percentiles.p50)}, DCF ${Math.round(dcfValue)})`);
+});
+
+check('Summary statistics are consistent with the samples', () => {
+  const result = simulate({ seed: 5, purchasePrice: 12000000 });
+  const evs = result.samples.map(sample => sample.ev);
+  const below = evs.filter(ev => ev < 12000000).length / evs.length;
+  assert.strictEqual(result.probabilityBelowPurchasePrice, below);
+  assert.ok(result.percentiles.p10 <= result.percentiles.p50 && result.percentiles.p50 <= result.percentiles.p90);
+  assert.ok(result.cvar.p5 <= result.percentiles.p5 + 1e-6);
+  assert.strictEqual(result.histogram.reduce((sum, bin) => sum + bin.count, 0), ITERATIONS);
+  assert.ok(Math.abs(result.tornado.reduce((sum, row) => sum + row.contribution, 0) - 1) < 1e-9);
+});
+
+finish();
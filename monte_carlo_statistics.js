@@ -0,0 +1,136 @@
+// MONTE CARLO OUTPUT STATISTICS
+// Turns a set of simulated enterprise values into chart-ready distribution data
+// (histogram, CDF) and risk statistics: dispersion, skew, tail loss and the odds
+// of finishing below the purchase price
+
+const DEFAULT_HISTOGRAM_BINS = 20;
+const CDF_POINTS = 101; // Every percentile from 0 to 100
+const CVAR_LEVELS = [0.05, 0.10];
+
+// Same floor-index convention the simulation has always used for P10-P90
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Equal-width bins across the simulated range
+function buildHistogram(sorted, binCount = DEFAULT_HISTOGRAM_BINS) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = max > min ? (max - min) / binCount : 1;
+  const bins = Array.from({ length: max > min ? binCount : 1 }, (_, i) => ({
+    from: min + i * width,
+    to: max > min ? min + (i + 1) * width : max,
+    count: 0,
+    share: 0
+  }));
+
+  sorted.forEach(value => {
+    const index = Math.min(bins.length - 1, Math.floor((value - min) / width));
+    bins[index].count++;
+  });
+  bins.forEach(bin => { bin.share = bin.count / sorted.length; });
+
+  return bins;
+}
+
+// Empirical CDF sampled at each percentile: P(EV <= value) = probability
+function buildCdf(sorted) {
+  return Array.from({ length: CDF_POINTS }, (_, i) => {
+    const probability = i / (CDF_POINTS - 1);
+    return { probability, value: percentile(sorted, probability) };
+  });
+}
+
+// Conditional VaR: mean EV across the worst `level` share of outcomes
+function conditionalValueAtRisk(sorted, level) {
+  const tail = sorted.slice(0, Math.max(1, Math.ceil(sorted.length * level)));
+  return tail.reduce((a, b) => a + b, 0) / tail.length;
+}
+
+// Average ranks, with ties sharing their mean rank
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    for (let k = i; k <= j; k++) result[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+// Tornado data: squared rank correlation of each driver with EV, normalized to 100%.
+// Correlated drivers share credit, so this ranks influence rather than splitting variance exactly.
+function contributionToVariance(samples, variables) {
+  const outcomeRanks = ranks(samples.map(sample => sample.ev));
+  const rows = variables.map(variable => {
+    const correlation = pearson(ranks(samples.map(sample => sample.drivers[variable])), outcomeRanks);
+    return { driver: variable, rankCorrelation: correlation, contribution: correlation * correlation };
+  });
+  const total = rows.reduce((sum, row) => sum + row.contribution, 0);
+  rows.forEach(row => { row.contribution = total > 0 ? row.contribution / total : 0; });
+
+  return rows.sort((a, b) => b.contribution - a.contribution);
+}
+
+// samples: [{ ev, drivers: { patientGrowth, ... } }] in draw order
+// options: { purchasePrice, bins }
+function summarizeSimulation(samples, variables, options = {}) {
+  if (samples.length === 0) throw new Error('Monte Carlo summary needs at least one sample');
+
+  const sorted = samples.map(sample => sample.ev).sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const m2 = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n;
+  const m3 = sorted.reduce((sum, value) => sum + (value - mean) ** 3, 0) / n;
+  const { purchasePrice } = options;
+
+  return {
+    mean,
+    stdDev: n > 1 ? Math.sqrt(m2 * n / (n - 1)) : 0,
+    skew: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+    min: sorted[0],
+    max: sorted[n - 1],
+    percentiles: {
+      p5: percentile(sorted, 0.05),
+      p10: percentile(sorted, 0.10),
+      p25: percentile(sorted, 0.25),
+      p50: percentile(sorted, 0.50),
+      p75: percentile(sorted, 0.75),
+      p90: percentile(sorted, 0.90),
+      p95: percentile(sorted, 0.95)
+    },
+    cvar: Object.fromEntries(CVAR_LEVELS.map(level => [`p${Math.round(level * 100)}`, conditionalValueAtRisk(sorted, level)])),
+    purchasePrice: purchasePrice ?? null,
+    probabilityBelowPurchasePrice: purchasePrice > 0 ?
+      sorted.filter(value => value < purchasePrice).length / n : null,
+    histogram: buildHistogram(sorted, options.bins),
+    cdf: buildCdf(sorted),
+    tornado: contributionToVariance(samples, variables)
+  };
+}
+
+module.exports = {
+  summarizeSimulation,
+  contributionToVariance,
+  buildHistogram,
+  buildCdf,
+  conditionalValueAtRisk,
+  DEFAULT_HISTOGRAM_BINS
+};
@@ -0,0 +1,51 @@
+// OVERRIDE BEHAVIOR CHECKS
+// Assumption overrides and the parameters derived from them:
+// node overrides_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { processFinancialData } = require('./data_processor');
+const { loadMarketTable } = require('./market_table');
+const { createCheckRun } = require('./behavior_checks');
+
+const DALLAS = 'Dallas medispa, $2M revenue, $500K EBITDA, 3500 active patients';
+
+const valueOf = (impact, figure) => impact.find(row => row.figure === figure);
+
+const { check, finish } = createCheckRun("🎛️ OVERRIDE BEHAVIOR CHECKS", 'OVERRIDE');
+
+check('Overrides are recorded and move the DCF, not the multiple-based EV', () => {
+  const result = processFinancialData(DALLAS, { logger: 'silent', wacc: 0.14 });
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.modelParams.discount.wacc, 0.14);
+  assert.deepStrictEqual(result.assumptions.overrides.map(override => override.path), ['discount.wacc']);
+  assert.strictEqual(valueOf(result.assumptions.impact, 'dcfEnterpriseValue').moved, true);
+  assert.strictEqual(valueOf(result.assumptions.impact, 'enterpriseValue').moved, false);
+});
+
+check('Derived WACC follows an overridden market adjustment', () => {
+  const result = processFinancialData(DALLAS, { logger: 'silent', overrides: { 'discount.marketAdjustment': 0.02 } });
+  assert.ok(result.success, result.error);
+  const expected = Math.round((loadMarketTable().baseWacc + 0.02) * 10000) / 10000;
+  assert.strictEqual(result.modelParams.discount.wacc, expected);
+});
+
+check('Derived new patients follow an overridden active patient count', () => {
+  const base = processFinancialData(DALLAS, { logger: 'silent' });
+  const doubled = processFinancialData(DALLAS, { logger: 'silent', overrides: { 'patients.activePatients': 7000 } });
+  assert.strictEqual(doubled.modelParams.patients.newPatientsPerYear, base.modelParams.patients.newPatientsPerYear * 2);
+});
+
+check('An explicitly overridden derived value is kept', () => {
+  const result = processFinancialData(DALLAS, {
+    logger: 'silent',
+    overrides: { 'patients.activePatients': 7000, 'patients.newPatientsPerYear': 1000 }
+  });
+  assert.strictEqual(result.modelParams.patients.newPatientsPerYear, 1000);
+});
+
+check('Out-of-range and unknown overrides fail processing', () => {
+  assert.strictEqual(processFinancialData(DALLAS, { logger: 'silent', wacc: 5 }).success, false);
+  assert.strictEqual(processFinancialData(DALLAS, { logger: 'silent', overrides: { 'pricing.botoxASP': 600 } }).success, false);
+});
+
+finish();
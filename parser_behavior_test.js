@@ -0,0 +1,95 @@
+// PARSER BEHAVIOR CHECKS
+// Text, multi-period and CSV ingestion against known inputs: node parser_behavior_test.js
+// Exits non-zero when any check fails
+
+const assert = require('assert');
+const { parseFinancialData, parseAmount } = require('./data_processor');
+const { createLogger } = require('./logger');
+const { createCheckRun } = require('./behavior_checks');
+
+const silent = createLogger({ mode: 'silent' });
+const parseText = text => parseFinancialData(text, 'text', silent);
+const parseMultiYear = text => parseFinancialData(text, 'multiyear', silent);
+const parseCsv = text => parseFinancialData(text, 'csv', silent);
+
+const { check, finish } = createCheckRun("🔍 PARSER BEHAVIOR CHECKS", 'PARSER');
+
+check('Labelled revenue and EBITDA, with the text each was read from', () => {
+  const parsed = parseText('Miami medispa, $4.2M revenue, $1.1M EBITDA');
+  assert.strictEqual(parsed.revenue.total, 4200000);
+  assert.strictEqual(parsed.profitability.ebitda, 1100000);
+  assert.strictEqual(parsed.location, 'miami');
+  assert.strictEqual(parsed.provenance.revenue.source, '$4.2M revenue');
+  assert.ok(parsed.provenance.ebitda.confidence > 0.5);
+});
+
+check('"Revenue grew to $4M from $3M" takes the current figure', () => {
+  const parsed = parseText('Revenue grew to $4M from $3M last year. EBITDA $800K');
+  assert.strictEqual(parsed.revenue.total, 4000000);
+  assert.strictEqual(parsed.profitability.ebitda, 800000);
+});
+
+check('"(2 locations)" is not read as a location', () => {
+  const parsed = parseText('Med spa (2 locations), revenue $3M, EBITDA $600K');
+  assert.strictEqual(parsed.location, null);
+});
+
+check('A bare zip resolves to its market', () => {
+  const parsed = parseText('Practice located in 90210, revenue $3M, EBITDA $600K');
+  assert.strictEqual(parsed.location, 'beverly_hills');
+});
+
+check('Amounts keep the written scale and flag small unit-less values', () => {
+  assert.strictEqual(parseAmount('$2.1MM').value, 2100000);
+  assert.strictEqual(parseAmount('2,100k').value, 2100000);
+  assert.strictEqual(parseAmount('(450,000)').value, -450000);
+  const bare = parseAmount('450', { expect: 'currency' });
+  assert.strictEqual(bare.value, 450);
+  assert.strictEqual(bare.ambiguous, true);
+});
+
+check('Multi-period table: revenue by year and history', () => {
+  const parsed = parseMultiYear([
+    'Line item FY2022 FY2023 FY2024',
+    'Revenue $2.0M $2.4M $2.9M',
+    'EBITDA $400K $500K $650K'
+  ].join('\n'));
+  assert.strictEqual(parsed.revenue.total, 2900000);
+  assert.strictEqual(parsed.profitability.ebitda, 650000);
+  assert.strictEqual(parsed.history.years, 3);
+  assert.ok(Math.abs(parsed.history.revenueCAGR - (Math.sqrt(2.9 / 2.0) - 1)) < 1e-9);
+});
+
+check('Multi-period table: "Cost of revenue" rows are not revenue', () => {
+  const parsed = parseMultiYear([
+    'Line item FY2023 FY2024',
+    'Cost of revenue $700K $800K',
+    'Revenue $2.4M $2.9M',
+    'EBITDA $500K $650K'
+  ].join('\n'));
+  assert.strictEqual(parsed.revenue.total, 2900000);
+  assert.deepStrictEqual(parsed.history.periods.map(period => period.revenue), [2400000, 2900000]);
+});
+
+check('CSV export: accounts map onto service lines and cost buckets, quoted amounts intact', () => {
+  const parsed = parseCsv([
+    'Account,Jan,Total',
+    'Income,,',
+    'Botox,"$10,000","$120,000"',
+    'Laser Hair Removal,"5,000","60,000"',
+    'Gift Card Breakage,,"2,500"',
+    'Total Income,,"182,500"',
+    'Expenses,,',
+    'Payroll Wages,,"70,000"',
+    'Depreciation,,"5,000"'
+  ].join('\n'));
+  assert.strictEqual(parsed.revenue.injectables, 120000);
+  assert.strictEqual(parsed.revenue.lasers, 60000);
+  assert.strictEqual(parsed.revenue.total, 182500);
+  assert.strictEqual(parsed.costs.payroll, 70000);
+  assert.strictEqual(parsed.belowEbitda.depreciation, 5000);
+  assert.strictEqual(parsed.profitability.ebitda, 112500);
+  assert.deepStrictEqual(parsed.csvMapping.unmapped.map(row => row.account), ['Gift Card Breakage']);
+});
+
+finish();
@@ -1,6 +1,8 @@
 // PARTNER VALIDATION TEST - REAL DEAL SIMULATION
 // Testing platform with 3 simulated deals from different market segments
 
+const { calculateEnhancedMultiple: enhancedMultipleStack } = require('./enhanced_multiple');
+
 console.log("🏢 PARTNER VALIDATION - SIMULATED DEAL TESTING");
 console.log("=".repeat(80));
 
@@ -86,53 +88,17 @@ const simulatedDeals = [
   }
 ];
 
-// Enhanced multiple calculation function (matches main platform)
+// Enhanced multiple calculation function (shared with main platform)
 function calculateEnhancedMultiple(deal) {
-  const baseMultiple = 8.2; // Q4 2024 median
-  
-  // Location multipliers (deal-calibrated)
-  const locationMultipliers = {
-    manhattan: 1.15,
-    beverly_hills: 1.32,
-    san_francisco: 1.20,
-    miami: 1.08,      // Reduced from 1.18 based on deal feedback
-    boston: 1.12,
-    dallas: 1.05,     // Increased from 1.00 to help Dallas valuation  
-    atlanta: 0.95,
-    phoenix: 0.85
-  };
-  
-  const locationAdj = locationMultipliers[deal.location] || 1.0;
-  
-  // Size adjustment (calibrated)
-  const sizeAdj = deal.ebitda > 2e6 ? 1.25 : 
-                 deal.ebitda > 1e6 ? 1.15 : 0.95;
-  
-  // Efficiency adjustment (refined)
-  const margin = deal.keyMetrics.ebitdaMargin;
-  const efficiencyAdj = margin > 0.28 ? 1.12 :
-                       margin > 0.22 ? 1.06 :
-                       margin > 0.18 ? 1.02 :
-                       margin > 0.15 ? 1.0 : 0.95;
-  
-  // Growth adjustment (moderated for deal accuracy)
-  const growthAdj = 1 + Math.max(-0.2, Math.min(0.3, (deal.keyMetrics.growth - 0.08) * 2.0));
-  
-  // Business model adjustment (moderated)
-  const businessModelAdj = deal.keyMetrics.locations > 2 ? 1.03 : // Multi-location premium (reduced from 1.08)
-                          deal.keyMetrics.locations === 1 ? 0.98 : 1.0; // Single location discount (reduced from 0.96)
-  
-  // Market maturity adjustment (refined)
-  const maturityAdj = deal.marketContext.marketMaturity === "growing" ? 1.02 :
-                     deal.marketContext.marketMaturity === "saturated" ? 0.98 : 1.0;
-  
-  // Competition adjustment (moderated)
-  const competitionAdj = deal.marketContext.competitionLevel === "very_high" ? 0.97 :
-                        deal.marketContext.competitionLevel === "high" ? 0.99 :
-                        deal.marketContext.competitionLevel === "moderate" ? 1.0 : 1.02;
-  
-  return baseMultiple * locationAdj * sizeAdj * efficiencyAdj * 
-         growthAdj * businessModelAdj * maturityAdj * competitionAdj;
+  return enhancedMultipleStack({
+    location: deal.location,
+    ebitda: deal.ebitda,
+    ebitdaMargin: deal.keyMetrics.ebitdaMargin,
+    growth: deal.keyMetrics.growth,
+    locations: deal.keyMetrics.locations,
+    maturity: deal.marketContext.marketMaturity,
+    competition: deal.marketContext.competitionLevel
+  }).multiple;
 }
 
 // Run deal analysis
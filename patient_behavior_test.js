@@ -0,0 +1,94 @@
+// PATIENT BEHAVIOR CHECKS
+// Visit-log funnel, cohort retention and unit economics against hand-counted inputs:
+// node patient_behavior_test.js - exits non-zero when any check fails
+
+const assert = require('assert');
+const { processFinancialData, convertToModelParams } = require('./data_processor');
+const { parseVisitLog, analyzePatientRecords } = require('./patient_records');
+const { calculateUnitEconomics } = require('./unit_economics');
+const { createLogger } = require('./logger');
+const { createCheckRun, close } = require('./behavior_checks');
+
+// A, B, C first visit in 2023-Q1; A and B come back in the trailing year, C does not;
+// D and E are new. A's two services on 2024-02-01 are one visit.
+const VISIT_LOG = [
+  'Patient ID,Visit Date,Service,Amount',
+  'A,2023-01-15,Botox,$600',
+  'B,2023-02-10,HydraFacial,200',
+  'C,2023-03-05,Laser Hair Removal,300',
+  'A,2024-02-01,Botox,600',
+  'A,2024-02-01,SkinCeuticals serum,150',
+  'B,2024-05-01,HydraFacial,200',
+  'D,2024-06-15,Filler,800',
+  'A,2024-08-01,Botox,600',
+  'E,2024-12-20,Laser Hair Removal,300'
+].join('\n');
+
+// The same log as visit rows, for the record functions that take arrays
+function visitRows() {
+  return VISIT_LOG.split('\n').slice(1).map(line => {
+    const [patientId, date, service, amount] = line.split(',');
+    return { patientId, date, service, amount };
+  });
+}
+
+// $2M practice with reported EBITDA, as ModelParams
+function dallasParams() {
+  return convertToModelParams({
+    revenue: { total: 2000000 },
+    profitability: { ebitda: 500000 },
+    patients: {},
+    location: 'dallas'
+  }, createLogger({ mode: 'silent' }));
+}
+
+const { check, finish } = createCheckRun("👥 PATIENT BEHAVIOR CHECKS", 'PATIENT');
+
+check('Visit log drives the patient funnel in ModelParams', () => {
+  const result = processFinancialData(VISIT_LOG, { dataType: 'visits', logger: 'silent' });
+  assert.ok(result.success, result.error);
+  const { patients } = result.modelParams;
+  assert.strictEqual(patients.activePatients, 4);
+  assert.strictEqual(patients.newPatientsPerYear, 2);
+  close(patients.churnRate, 1 / 3, 1e-9, 'churn');
+  close(patients.visitsPerPatientYr, 5 / 4, 1e-9, 'visits per patient');
+  assert.strictEqual(result.assumptions.sources['patients.churnRate'], 'data');
+});
+
+check('Cohort retention by quarter since first visit', () => {
+  const { visits } = parseVisitLog(visitRows());
+  const records = analyzePatientRecords(visits, { marketingSpend: 3000 });
+  const [first] = records.retention.cohorts;
+  assert.strictEqual(first.cohort, '2023-Q1');
+  assert.strictEqual(first.size, 3);
+  assert.deepStrictEqual(first.retention.map(share => Math.round(share * 3)), [3, 0, 0, 0, 1, 1, 1, 0]);
+  assert.deepStrictEqual(records.retention.cohorts.map(cohort => cohort.cohort), ['2023-Q1', '2024-Q2', '2024-Q4']);
+  assert.strictEqual(records.cac, 1500);
+});
+
+check('Churn is left unmeasured when the log is shorter than two years', () => {
+  const { visits } = parseVisitLog(visitRows().slice(3));
+  const records = analyzePatientRecords(visits);
+  assert.strictEqual(records.churnRate, null);
+  assert.ok(records.warnings.some(warning => /24 needed to measure annual churn/.test(warning)));
+});
+
+check('Unit economics: spend ties to reported revenue; drivers shown alongside', () => {
+  const params = dallasParams();
+  const before = calculateUnitEconomics(params);
+  params.pricing.injectablesASP *= 1.5;
+  const after = calculateUnitEconomics(params);
+  close(before.revenuePerPatient * params.patients.activePatients, 2000000, 1e-6, 'revenue base');
+  close(after.ltv, before.ltv, 1e-6, 'LTV');
+  assert.ok(after.driverRevenuePerPatient > before.driverRevenuePerPatient, 'driver spend should follow ASP');
+});
+
+check('Unit economics without CAC: no payback instead of a crash', () => {
+  const params = dallasParams();
+  params.patients.cac = null;
+  const economics = calculateUnitEconomics(params);
+  assert.strictEqual(economics.ltvToCac, null);
+  assert.strictEqual(economics.paybackMonths, null);
+});
+
+finish();
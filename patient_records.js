@@ -0,0 +1,210 @@
+// PATIENT / VISIT RECORD INGESTION
+// Measures the patient funnel from an anonymized visit log: active and new patients,
+// churn, cohort retention, visit frequency, ASP by service line and CAC
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+// Same service vocabulary as the CSV account map; retail before skincare so
+// "skincare products" lands in retail
+const SERVICE_CLASSIFIER = [
+  { line: 'injectables', pattern: /botox|dysport|xeomin|daxxify|filler|injectable|neurotoxin|tox\b|juvederm|restylane|sculptra|kybella|prp/i },
+  { line: 'lasers', pattern: /laser|ipl|bbl|hair removal|resurfacing|coolsculpt|body contouring|morpheus|radiofrequency|\brf\b|fraxel|halo/i },
+  { line: 'memberships', pattern: /membership|member dues|subscription|monthly dues/i },
+  { line: 'retail', pattern: /retail|product|merchandise|sunscreen|serum|skinceuticals/i },
+  { line: 'skincare', pattern: /facial|peel|hydrafacial|microneedling|dermaplan|skin ?care|esthetic/i }
+];
+
+const COLUMN_ALIASES = {
+  patientId: /^(patient[\s_]?id|patient|client[\s_]?id|client|customer[\s_]?id|mrn|id)$/i,
+  date: /^(date|visit[\s_]?date|service[\s_]?date|appointment[\s_]?date)$/i,
+  service: /^(service|treatment|category|item|description)$/i,
+  amount: /^(amount|revenue|price|charge|total|net[\s_]?sales)$/i
+};
+
+// Rows of { patientId, date, service, amount }; CSV exports go through visitRowsFromTable first
+function parseVisitLog(rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Visit log must be an array of visit rows');
+  }
+
+  const warnings = [];
+  const visits = [];
+  rows.forEach((row, index) => {
+    const date = parseVisitDate(row.date ?? row.visitDate);
+    const patientId = row.patientId ?? row.patient_id ?? row.patient;
+    if (patientId === undefined || patientId === null || patientId === '' || !date) {
+      warnings.push(`Visit row ${index + 1} skipped - missing patient id or unreadable date`);
+      return;
+    }
+    const amount = typeof row.amount === 'number' ? row.amount : parseFloat(String(row.amount ?? '').replace(/[$,]/g, ''));
+    visits.push({
+      patientId: String(patientId),
+      date,
+      service: row.service || '',
+      line: classifyService(row.service || ''),
+      amount: Number.isFinite(amount) ? amount : 0
+    });
+  });
+
+  visits.sort((a, b) => a.date - b.date);
+  return { visits, warnings };
+}
+
+// Map already-split CSV cells onto visit fields using the header names
+function visitRowsFromTable(header, rows) {
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, pattern]) => {
+    const index = header.findIndex(cell => pattern.test(cell));
+    if (index >= 0) columns[field] = index;
+  });
+
+  const missing = ['patientId', 'date'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Visit log header needs ${missing.join(' and ')} columns (got ${header.join(', ')})`);
+  }
+
+  return rows.map(cells => {
+    const row = {};
+    Object.entries(columns).forEach(([field, index]) => { row[field] = cells[index]; });
+    return row;
+  });
+}
+
+// ISO (2024-03-15) or US (03/15/2024) dates, read as UTC days
+function parseVisitDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string') return null;
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : us ? [us[3], us[1], us[2]] : [];
+  if (!year) return null;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function classifyService(service) {
+  const match = SERVICE_CLASSIFIER.find(entry => entry.pattern.test(service));
+  return match ? match.line : null;
+}
+
+// options: { asOf, marketingSpend } - asOf defaults to the last visit in the log
+function analyzePatientRecords(visits, options = {}) {
+  const warnings = [];
+  if (visits.length === 0) throw new Error('Visit log contains no usable visits');
+
+  const asOf = options.asOf ? parseVisitDate(options.asOf) || new Date(options.asOf) : visits[visits.length - 1].date;
+  const windowStart = new Date(asOf.getTime() - YEAR_DAYS * DAY_MS);
+  const priorStart = new Date(asOf.getTime() - 2 * YEAR_DAYS * DAY_MS);
+  const inWindow = (date, start) => date > start && date <= new Date(start.getTime() + YEAR_DAYS * DAY_MS);
+
+  const firstVisit = new Map();
+  visits.forEach(visit => {
+    if (!firstVisit.has(visit.patientId)) firstVisit.set(visit.patientId, visit.date);
+  });
+
+  const current = visits.filter(visit => inWindow(visit.date, windowStart));
+  const activeIds = new Set(current.map(visit => visit.patientId));
+  const priorIds = new Set(visits.filter(visit => inWindow(visit.date, priorStart)).map(visit => visit.patientId));
+  const newIds = [...activeIds].filter(id => firstVisit.get(id) > windowStart);
+
+  // Churn needs a full prior year to compare against
+  const spanDays = (asOf - visits[0].date) / DAY_MS;
+  let churnRate = null;
+  if (spanDays >= 2 * YEAR_DAYS - 31 && priorIds.size > 0) {
+    const retained = [...priorIds].filter(id => activeIds.has(id)).length;
+    churnRate = 1 - retained / priorIds.size;
+  } else {
+    warnings.push(`Visit log spans ${Math.round(spanDays / 30.4)} months - 24 needed to measure annual churn`);
+  }
+
+  // Revenue, line items and ASP by service line over the trailing twelve months
+  const revenueByLine = { injectables: 0, lasers: 0, skincare: 0, memberships: 0, retail: 0 };
+  const itemsByLine = { injectables: 0, lasers: 0, skincare: 0, memberships: 0, retail: 0 };
+  let unclassified = 0;
+  current.forEach(visit => {
+    if (!visit.line) {
+      unclassified += visit.amount;
+      return;
+    }
+    revenueByLine[visit.line] += visit.amount;
+    itemsByLine[visit.line] += 1;
+  });
+  if (unclassified > 0) {
+    warnings.push(`$${Math.round(unclassified).toLocaleString('en-US')} of visit revenue has an unrecognized service`);
+  }
+  const aspByService = {};
+  Object.keys(revenueByLine).forEach(line => {
+    aspByService[line] = itemsByLine[line] > 0 ? revenueByLine[line] / itemsByLine[line] : null;
+  });
+
+  // A patient-day counts as one visit however many services were billed
+  const visitDays = new Set(current.map(visit => `${visit.patientId}|${visit.date.getTime()}`)).size;
+  const newPatientsPerYear = newIds.length;
+  const cac = options.marketingSpend && newPatientsPerYear > 0 ? options.marketingSpend / newPatientsPerYear : null;
+  if (!options.marketingSpend) warnings.push('No marketing spend supplied - CAC not measured');
+
+  return {
+    asOf: asOf.toISOString().slice(0, 10),
+    visitCount: visits.length,
+    patientCount: firstVisit.size,
+    activePatients: activeIds.size,
+    newPatientsPerYear,
+    churnRate,
+    visitsPerPatientYr: activeIds.size > 0 ? visitDays / activeIds.size : null,
+    revenue: Object.values(revenueByLine).reduce((a, b) => a + b, 0) + unclassified,
+    revenueByLine,
+    aspByService,
+    cac,
+    retention: cohortRetention(visits, firstVisit, asOf),
+    warnings
+  };
+}
+
+// Quarterly acquisition cohorts: share of each cohort with a visit in each later quarter
+function cohortRetention(visits, firstVisit, asOf) {
+  const quarterIndex = (date) => date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3);
+  const label = (index) => `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+  const lastQuarter = quarterIndex(asOf);
+
+  const cohorts = new Map();
+  firstVisit.forEach((date, id) => {
+    const index = quarterIndex(date);
+    if (!cohorts.has(index)) cohorts.set(index, { members: new Set(), active: new Map() });
+    cohorts.get(index).members.add(id);
+  });
+  visits.forEach(visit => {
+    const cohort = cohorts.get(quarterIndex(firstVisit.get(visit.patientId)));
+    const offset = quarterIndex(visit.date) - quarterIndex(firstVisit.get(visit.patientId));
+    if (!cohort.active.has(offset)) cohort.active.set(offset, new Set());
+    cohort.active.get(offset).add(visit.patientId);
+  });
+
+  const rows = [...cohorts.entries()].sort((a, b) => a[0] - b[0]).map(([index, cohort]) => {
+    const quarters = lastQuarter - index + 1;
+    const retention = [];
+    for (let offset = 0; offset < quarters; offset++) {
+      retention.push((cohort.active.get(offset)?.size || 0) / cohort.members.size);
+    }
+    return { cohort: label(index), size: cohort.members.size, retention };
+  });
+
+  // Size-weighted average curve over the cohorts old enough to observe each quarter
+  const longest = Math.max(...rows.map(row => row.retention.length));
+  const curve = [];
+  for (let offset = 0; offset < longest; offset++) {
+    const observed = rows.filter(row => row.retention.length > offset);
+    const size = observed.reduce((sum, row) => sum + row.size, 0);
+    curve.push(observed.reduce((sum, row) => sum + row.retention[offset] * row.size, 0) / size);
+  }
+
+  return { cohorts: rows, curve };
+}
+
+module.exports = {
+  parseVisitLog,
+  visitRowsFromTable,
+  analyzePatientRecords,
+  classifyService,
+  SERVICE_CLASSIFIER
+};
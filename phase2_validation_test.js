@@ -1,6 +1,8 @@
 // PHASE 2 VALIDATION TEST - CLIENT DELIVERABLE READINESS
 // Testing enhanced accuracy and advanced features
 
+const { loadMarketTable, getMarket } = require('./market_table');
+
 console.log("🚀 PHASE 2 VALIDATION - CLIENT DELIVERABLE READINESS");
 console.log("=".repeat(80));
 
@@ -73,19 +75,12 @@ function testEnhancedAccuracy() {
 }
 
 function simulateEnhancedMultiple(test) {
-  const baseMultiple = 8.2;
-  
-  // Enhanced location adjustments (calibrated to actual transactions)
-  const locationMultipliers = {
-    manhattan: 1.15,      // Further reduced to achieve <12% variance
-    beverly_hills: 1.32,  // Good accuracy at current level
-    san_francisco: 1.20,
-    dallas: 1.00,
-    atlanta: 0.95,
-    phoenix: 0.85
-  };
+  const baseMultiple = loadMarketTable().baseMultiple;
   
-  const locationAdj = locationMultipliers[test.location] || 1.0;
+  // Location adjustment from the shared market table (calibrated to actual transactions).
+  // Dallas 1.03 sits inside both Dallas references: this 9.0x chain (needs <= 1.047 for
+  // 12% variance) and the partner test's $8-10M buyout (needs >= 1.02)
+  const locationAdj = getMarket(test.location).multiplier;
   
   // Enhanced size adjustment (moderated for accuracy)
   const sizeAdj = test.ebitda > 2e6 ? 1.25 : 
@@ -109,16 +104,17 @@ function testGeographicAdjustments() {
   console.log("-".repeat(60));
   
   const marketTests = [
-    { market: "manhattan", expectedPremium: "60-70%", tier: "tier1" },
-    { market: "beverly_hills", expectedPremium: "65-75%", tier: "tier1" },
-    { market: "san_francisco", expectedPremium: "30-40%", tier: "tier2" },
-    { market: "dallas", expectedPremium: "0%", tier: "tier3" },
-    { market: "phoenix", expectedPremium: "-15%", tier: "tier4" }
+    { market: "manhattan", expectedPremium: "60-70%" },
+    { market: "beverly_hills", expectedPremium: "65-75%" },
+    { market: "san_francisco", expectedPremium: "30-40%" },
+    { market: "dallas", expectedPremium: "0%" },
+    { market: "phoenix", expectedPremium: "-15%" }
   ];
   
   console.log("Market Tier Analysis:");
   marketTests.forEach(test => {
-    console.log(`✅ ${test.market.padEnd(15)} | ${test.tier.padEnd(6)} | Premium: ${test.expectedPremium}`);
+    const tier = getMarket(test.market).tier;
+    console.log(`✅ ${test.market.padEnd(15)} | ${tier.padEnd(6)} | Premium: ${test.expectedPremium}`);
   });
   
   console.log("\n📊 Geographic Coverage:");
@@ -376,6 +372,9 @@ function runPhase2Validation() {
   }
   
   console.log("\n🏅 PHASE 2 STATUS: " + (overallSuccess ? "COMPLETE" : "IN PROGRESS"));
+  
+  // A missed target fails the run instead of only printing "IN PROGRESS"
+  if (!overallSuccess) process.exitCode = 1;
 }
 
 // Execute Phase 2 validation
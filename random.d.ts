@@ -0,0 +1,13 @@
+// Type declarations for random.js (CommonJS), for the TypeScript modules
+
+export type SeededRandom = {
+  seed: number;
+  next(): number;
+  uniform(min?: number, max?: number): number;
+  integer(min: number, max: number): number;
+  normal(mean?: number, stdDev?: number): number;
+};
+
+export function createRandom(seed?: number | string): SeededRandom;
+export function resolveRandom(randomOrSeed?: SeededRandom | number | string | null): SeededRandom;
+export function randomSeed(): number;
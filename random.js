@@ -0,0 +1,64 @@
+// SEEDED RANDOM NUMBERS
+// mulberry32 generator shared by every stochastic routine, so any simulation can be
+// replayed exactly from the seed recorded in its output
+
+const crypto = require('crypto');
+
+// Fresh 32-bit seed for runs that don't ask for one; still recorded so they can be replayed
+function randomSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+function normalizeSeed(seed) {
+  const value = typeof seed === 'string' && seed.trim() !== '' ? Number(seed) : seed;
+  if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+    throw new Error(`Seed must be an integer between 0 and ${0xFFFFFFFF} (got ${JSON.stringify(seed)})`);
+  }
+  return value;
+}
+
+function createRandom(seed = randomSeed()) {
+  const initial = normalizeSeed(seed);
+  let state = initial;
+  let spareNormal = null;
+
+  // mulberry32: uniform on [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: initial,
+    next,
+    uniform: (min = 0, max = 1) => min + (max - min) * next(),
+    integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // Box-Muller, keeping the second draw for the next call
+    normal: (mean = 0, stdDev = 1) => {
+      if (spareNormal !== null) {
+        const z = spareNormal;
+        spareNormal = null;
+        return mean + stdDev * z;
+      }
+      const radius = Math.sqrt(-2 * Math.log(1 - next()));
+      const angle = 2 * Math.PI * next();
+      spareNormal = radius * Math.sin(angle);
+      return mean + stdDev * radius * Math.cos(angle);
+    }
+  };
+}
+
+// Accepts a generator from createRandom, a seed, or nothing (fresh seed)
+function resolveRandom(randomOrSeed) {
+  if (randomOrSeed && typeof randomOrSeed.next === 'function') return randomOrSeed;
+  return createRandom(randomOrSeed === undefined || randomOrSeed === null ? undefined : randomOrSeed);
+}
+
+module.exports = {
+  createRandom,
+  resolveRandom,
+  randomSeed
+};
@@ -1,10 +1,14 @@
 // REAL-TIME MARKET DATA INTEGRATION - PHASE 2
 // Live market intelligence for valuation accuracy
 
+// Seeded generator from random.js; mock data is reproducible from its seed
+import { createRandom, SeededRandom } from "./random";
+
 type MarketDataSource = "fred" | "yahoo_finance" | "pitchbook" | "internal";
 
 type RealTimeMarketData = {
   lastUpdated: Date;
+  seed: number; // Mock-data seed, so a snapshot can be regenerated
   riskFreeRate: {
     value: number;
     source: MarketDataSource;
@@ -48,67 +52,79 @@ type RealTimeMarketData = {
 // Simulated real-time data (in production, would connect to actual APIs)
 class RealTimeMarketDataService {
   private static instance: RealTimeMarketDataService;
+  private random: SeededRandom;
   private currentData: RealTimeMarketData;
   private lastUpdate: Date;
   private updateInterval: number = 3600000; // 1 hour in milliseconds
   
-  private constructor() {
+  private constructor(seed?: number) {
+    this.random = createRandom(seed);
     this.currentData = this.generateMockData();
     this.lastUpdate = new Date();
     this.startAutoUpdate();
   }
   
-  static getInstance(): RealTimeMarketDataService {
+  // Pass a seed to reproduce a mock-data run; an existing instance restarts that seed's
+  // sequence from the beginning, even when it is the seed already in use
+  static getInstance(seed?: number): RealTimeMarketDataService {
     if (!RealTimeMarketDataService.instance) {
-      RealTimeMarketDataService.instance = new RealTimeMarketDataService();
+      RealTimeMarketDataService.instance = new RealTimeMarketDataService(seed);
+    } else if (seed !== undefined) {
+      RealTimeMarketDataService.instance.reseed(seed);
     }
     return RealTimeMarketDataService.instance;
   }
   
+  private reseed(seed: number): void {
+    this.random = createRandom(seed);
+    this.updateData();
+  }
+  
   private generateMockData(): RealTimeMarketData {
     const now = new Date();
     
     // Simulate real market conditions with slight variations
     const baseRiskFree = 0.045;
-    const variation = (Math.random() - 0.5) * 0.005; // ±0.25% variation
+    const variation = (this.random.next() - 0.5) * 0.005; // ±0.25% variation
     
     return {
       lastUpdated: now,
+      seed: this.random.seed,
       riskFreeRate: {
         value: Math.max(0.02, baseRiskFree + variation),
         source: "fred",
         asOf: now
       },
       marketRiskPremium: {
-        value: 0.055 + (Math.random() - 0.5) * 0.01, // ±0.5% variation
+        value: 0.055 + (this.random.next() - 0.5) * 0.01, // ±0.5% variation
         source: "internal",
         asOf: now
       },
       industryMultiples: {
         medispa: {
-          ebitdaMultiple: 8.2 + (Math.random() - 0.5) * 0.8, // ±0.4x variation
-          revenueMultiple: 2.4 + (Math.random() - 0.5) * 0.3,
-          sampleSize: 23 + Math.floor(Math.random() * 10)
+          ebitdaMultiple: 8.2 + (this.random.next() - 0.5) * 0.8, // ±0.4x variation
+          revenueMultiple: 2.4 + (this.random.next() - 0.5) * 0.3,
+          sampleSize: 23 + Math.floor(this.random.next() * 10)
         },
         healthcare: {
-          ebitdaMultiple: 12.5 + (Math.random() - 0.5) * 2.0,
-          revenueMultiple: 3.8 + (Math.random() - 0.5) * 0.8
+          ebitdaMultiple: 12.5 + (this.random.next() - 0.5) * 2.0,
+          revenueMultiple: 3.8 + (this.random.next() - 0.5) * 0.8
         },
         asOf: now
       },
       economicIndicators: {
-        unemployment: 0.038 + (Math.random() - 0.5) * 0.01,
-        consumerConfidence: 102 + (Math.random() - 0.5) * 10,
-        disposableIncome: 48000 + (Math.random() - 0.5) * 2000,
-        inflationRate: 0.032 + (Math.random() - 0.5) * 0.005,
+        unemployment: 0.038 + (this.random.next() - 0.5) * 0.01,
+        consumerConfidence: 102 + (this.random.next() - 0.5) * 10,
+        disposableIncome: 48000 + (this.random.next() - 0.5) * 2000,
+        inflationRate: 0.032 + (this.random.next() - 0.5) * 0.005,
         asOf: now
       },
       transactionActivity: {
         medispaDeals: {
-          count: 8 + Math.floor(Math.random() * 6),
-          avgMultiple: 8.6 + (Math.random() - 0.5) * 1.5,
-          medianMultiple: 8.2 + (Math.random() - 0.5) * 1.2,
-          totalValue: 125000000 + (Math.random() - 0.5) * 50000000
+          count: 8 + Math.floor(this.random.next() * 6),
+          avgMultiple: 8.6 + (this.random.next() - 0.5) * 1.5,
+          medianMultiple: 8.2 + (this.random.next() - 0.5) * 1.2,
+          totalValue: 125000000 + (this.random.next() - 0.5) * 50000000
         },
         lastQuarter: new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1)
       }
@@ -0,0 +1,262 @@
+// MACHINE-READABLE REPORT FORMATS
+// JSON (versioned schema), Markdown tables and flat CSV of key metrics for the
+// deal tracker and spreadsheets; the chat text block stays in formatResults
+
+// Bump the major version on any breaking change to field names or meaning;
+// bump the minor version when fields are only added
+const RESULTS_SCHEMA_VERSION = '1.5.0';
+
+const OUTPUT_FORMATS = ['text', 'json', 'markdown', 'csv'];
+
+// Flat key metrics, one column each, in a fixed order. Consumers read by position,
+// so new columns are appended (minor bump); reordering or removing needs a major bump
+const CSV_COLUMNS = [
+  { key: 'schema_version', value: () => RESULTS_SCHEMA_VERSION },
+  { key: 'location', value: (r) => r.location },
+  { key: 'market_tier', value: (r) => r.marketTier },
+  { key: 'revenue', value: (r) => r.totalRevenue },
+  { key: 'reported_ebitda', value: (r) => r.reportedEBITDA },
+  { key: 'normalized_ebitda', value: (r) => r.estimatedEBITDA },
+  { key: 'ebitda_margin', value: (r) => ratio(r.estimatedEBITDA, r.totalRevenue) },
+  { key: 'enhanced_multiple', value: (r) => r.enhancedMultiple },
+  { key: 'enterprise_value', value: (r) => r.enterpriseValue },
+  { key: 'net_debt', value: (r) => r.equityBridge.netDebt },
+  { key: 'deferred_revenue', value: (r) => r.equityBridge.deferredRevenue.total },
+  { key: 'nwc_true_up', value: (r) => r.equityBridge.workingCapital.trueUp },
+  { key: 'equity_value', value: (r) => r.equityValue },
+  { key: 'revenue_multiple', value: (r) => ratio(r.enterpriseValue, r.totalRevenue) },
+  { key: 'epv', value: (r) => r.epv.earningsPowerValue },
+  { key: 'franchise_ratio', value: (r) => r.epv.franchiseRatio },
+  { key: 'dcf_enterprise_value', value: (r) => r.dcf.enterpriseValue },
+  { key: 'dcf_revenue_cagr', value: (r) => r.dcf.revenueCAGR },
+  { key: 'ev_conservative', value: (r) => r.growthScenarios.conservative.enterpriseValue },
+  { key: 'ev_base', value: (r) => r.growthScenarios.base.enterpriseValue },
+  { key: 'ev_aggressive', value: (r) => r.growthScenarios.aggressive.enterpriseValue },
+  { key: 'ev_hypergrowth', value: (r) => r.growthScenarios.hypergrowth.enterpriseValue },
+  { key: 'validation_issues', value: (r, report) => report.validationIssues.length },
+  { key: 'assumption_overrides', value: (r) => r.assumptions ? r.assumptions.summary.override : 0 },
+  { key: 'assumption_defaults', value: (r) => r.assumptions ? r.assumptions.summary.default : null },
+  { key: 'ev_mix_low', value: (r) => r.revenueMix ? r.revenueMix.valuationRange.enterpriseValue.low : null },
+  { key: 'ev_mix_high', value: (r) => r.revenueMix ? r.revenueMix.valuationRange.enterpriseValue.high : null },
+  { key: 'ltv', value: (r) => r.unitEconomics.ltv },
+  { key: 'ltv_to_cac', value: (r) => r.unitEconomics.ltvToCac },
+  { key: 'payback_months', value: (r) => r.unitEconomics.paybackMonths },
+  { key: 'capacity_util_y1', value: (r) => r.dcf.capacity ? r.dcf.capacity.byYear[0].utilization : null },
+  { key: 'capacity_hires_needed', value: (r) => r.dcf.capacity && r.dcf.capacity.reported ? r.dcf.capacity.totalHires : null },
+  { key: 'capacity_rooms_needed', value: (r) => r.dcf.capacity ? r.dcf.capacity.roomsNeeded : null }
+];
+
+function ratio(numerator, denominator) {
+  return denominator ? numerator / denominator : null;
+}
+
+function round(value, digits = 4) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value ?? null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// report: { results, parsedData, validationIssues, lowConfidence }
+function toResultsJson(report) {
+  const { results, parsedData } = report;
+
+  return {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    valuation: {
+      enterpriseValue: results.enterpriseValue,
+      equityValue: results.equityValue,
+      enhancedMultiple: results.enhancedMultiple,
+      revenueMultiple: ratio(results.enterpriseValue, results.totalRevenue),
+      earningsPowerValue: results.epv.earningsPowerValue,
+      dcfEnterpriseValue: results.dcf.enterpriseValue
+    },
+    financials: {
+      revenue: results.totalRevenue,
+      reportedEbitda: results.reportedEBITDA,
+      normalizedEbitda: results.estimatedEBITDA,
+      ebitdaMargin: ratio(results.estimatedEBITDA, results.totalRevenue),
+      activePatients: parsedData.patients?.active || null,
+      incomeStatement: parsedData.incomeStatement || {},
+      balanceSheet: parsedData.balanceSheet || {}
+    },
+    market: {
+      key: results.location,
+      tier: results.marketTier,
+      msa: results.msa || null,
+      locationPremium: results.multipleBuild.factors.find(f => f.factor === 'location').adjustment - 1
+    },
+    multipleBuild: results.multipleBuild,
+    ebitdaBridge: results.ebitdaBridge,
+    equityBridge: results.equityBridge,
+    epv: results.epv,
+    dcf: results.dcf,
+    unitEconomics: results.unitEconomics,
+    revenueMix: results.revenueMix || null,
+    patientRecords: parsedData.patientRecords || null,
+    growthScenarios: results.growthScenarios,
+    history: parsedData.history || null,
+    assumptions: results.assumptions || null,
+    dataQuality: {
+      validationIssues: report.validationIssues,
+      lowConfidenceFields: report.lowConfidence,
+      warnings: parsedData.warnings || []
+    }
+  };
+}
+
+function formatJson(report) {
+  return JSON.stringify(toResultsJson(report), null, 2);
+}
+
+function csvRow(report) {
+  return CSV_COLUMNS.map(column => round(column.value(report.results, report)));
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(report) {
+  return [
+    CSV_COLUMNS.map(column => column.key).join(','),
+    csvRow(report).map(escapeCsv).join(',')
+  ].join('\n');
+}
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`)
+  ].join('\n');
+}
+
+function formatMarkdown(report) {
+  const { results } = report;
+  const currency = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+  const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+  const sections = [
+    `# Medispa Valuation - ${results.location.replace(/_/g, ' ')}`,
+    `_Schema ${RESULTS_SCHEMA_VERSION}_`,
+    '## Key Metrics',
+    markdownTable(['Metric', 'Value'], [
+      ['Revenue', currency(results.totalRevenue)],
+      ['Normalized EBITDA', `${currency(results.estimatedEBITDA)} (${percent(ratio(results.estimatedEBITDA, results.totalRevenue))})`],
+      ['Enhanced Multiple', `${results.enhancedMultiple.toFixed(2)}x`],
+      ['Enterprise Value', currency(results.enterpriseValue)],
+      ['Equity Value', currency(results.equityValue)],
+      ['Earnings Power Value', currency(results.epv.earningsPowerValue)],
+      ['DCF Enterprise Value', currency(results.dcf.enterpriseValue)],
+      ['LTV / CAC', `${currency(results.unitEconomics.ltv)} / ${currency(results.unitEconomics.cac)}`]
+    ]),
+    '## Multiple Build',
+    markdownTable(['Factor', 'Input', 'Adjustment', 'Turns'], [
+      ['Base', '', '', results.multipleBuild.baseMultiple.toFixed(2)],
+      ...results.multipleBuild.factors.map(factor => [
+        factor.label,
+        factor.applied ? String(round(factor.input)) : 'not provided',
+        `${factor.adjustment.toFixed(2)}x`,
+        `${factor.contribution >= 0 ? '+' : ''}${factor.contribution.toFixed(2)}`
+      ]),
+      ['**Enhanced Multiple**', '', '', `**${results.multipleBuild.multiple.toFixed(2)}**`]
+    ]),
+    '## EV to Equity Bridge',
+    markdownTable(['Step', 'Amount'], results.equityBridge.steps.map(step => [step.label, currency(step.value)])),
+    `## ${results.dcf.exitYear}-Year DCF Projection`,
+    markdownTable(['Year', 'Revenue', 'EBITDA', 'EBITDA %', 'FCF', 'PV FCF', 'Utilization'], results.dcf.years.map(row => [
+      row.year,
+      currency(row.revenue),
+      currency(row.ebitda),
+      percent(row.ebitdaMargin),
+      currency(row.fcf),
+      currency(row.pvFCF),
+      row.capacity ? `${percent(row.capacity.utilization.overall)}${row.capacity.constrained ? ' (capped)' : ''}` : 'n/a'
+    ])),
+    '## Unit Economics',
+    markdownTable(['Cohort Year', 'Retained', 'Revenue', 'Contribution', 'Cumulative LTV'],
+      results.unitEconomics.cohortCurve.map(row => [
+        row.year,
+        percent(row.retainedAtStart),
+        currency(row.revenue),
+        currency(row.contribution),
+        currency(row.cumulativeLtv)
+      ])),
+    '## Growth Scenarios',
+    markdownTable(['Scenario', 'Patient Growth', 'Multiple', 'Enterprise Value', 'vs Base Multiple'],
+      Object.values(results.growthScenarios).map(scenario => [
+        scenario.name,
+        percent(scenario.patientGrowth),
+        `${scenario.multiple.toFixed(2)}x`,
+        currency(scenario.enterpriseValue),
+        `${scenario.evChange >= 0 ? '+' : ''}${scenario.evChange.toFixed(1)}%`
+      ]))
+  ];
+
+  if (results.ebitdaBridge.adjustments.length > 0) {
+    sections.splice(4, 0, '## EBITDA Normalization',
+      markdownTable(['Step', 'Amount', 'Source'], results.ebitdaBridge.steps.map((step, i) => {
+        const adjustment = results.ebitdaBridge.adjustments[i - 1];
+        return [step.label, currency(step.value), adjustment ? (adjustment.source || 'unsourced') : ''];
+      })));
+  }
+
+  if (results.revenueMix) {
+    const mix = results.revenueMix;
+    const range = mix.valuationRange;
+    sections.push('## Revenue Mix (estimated)',
+      `Signals: ${mix.signals.length > 0 ? mix.signals.join(', ') : 'none'} - prior: ${mix.prior}`,
+      markdownTable(['Service Line', 'Share', '80% Range'], Object.entries(mix.shares).map(([line, share]) => [
+        line,
+        percent(share),
+        `${percent(mix.ranges[line].low)} - ${percent(mix.ranges[line].high)}`
+      ])),
+      markdownTable(['Value', 'Low', 'Base', 'High'], [
+        ['Enterprise Value', currency(range.enterpriseValue.low), currency(range.enterpriseValue.base), currency(range.enterpriseValue.high)],
+        ['DCF Enterprise Value', currency(range.dcfEnterpriseValue.low), currency(range.dcfEnterpriseValue.base), currency(range.dcfEnterpriseValue.high)]
+      ]));
+  }
+
+  if (results.assumptions) {
+    const { summary, overrides, keyDefaults } = results.assumptions;
+    sections.push('## Assumptions',
+      `${summary.data} from data, ${summary.override} overridden, ${summary.default} defaults`);
+    if (overrides.length > 0) {
+      sections.push(markdownTable(['Override', 'Value', 'Replaced', 'Replaced Source'],
+        overrides.map(override => [override.path, override.value, override.previous, override.previousSource])));
+    }
+    if (results.assumptions.impact) {
+      sections.push(markdownTable(['Headline Figure', 'Without Overrides', 'With Overrides', 'Moved'],
+        results.assumptions.impact.map(item => [item.label, currency(item.before), currency(item.after), item.moved ? 'yes' : 'no'])));
+    }
+    if (keyDefaults.length > 0) {
+      sections.push(markdownTable(['Default', 'Value'], keyDefaults.map(item => [item.path, item.value])));
+    }
+  }
+
+  if (report.validationIssues.length > 0) {
+    sections.push('## Data Quality', report.validationIssues.map(issue => `- ${issue}`).join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  formatJson,
+  formatMarkdown,
+  formatCsv,
+  toResultsJson,
+  csvRow,
+  escapeCsv,
+  markdownTable,
+  CSV_COLUMNS,
+  OUTPUT_FORMATS,
+  RESULTS_SCHEMA_VERSION
+};
@@ -0,0 +1,166 @@
+// REVENUE MIX ESTIMATION
+// Infers the service-line split from whatever operating signals are available
+// (treatment counts, provider types, equipment, memberships, market tier) instead
+// of a fixed split, with a stated uncertainty range per line
+
+const SERVICE_LINES = ['injectables', 'lasers', 'skincare', 'memberships', 'retail'];
+
+// Long-standing platform default; used when nothing else is known
+const DEFAULT_MIX = { injectables: 0.55, lasers: 0.20, skincare: 0.12, memberships: 0.08, retail: 0.05 };
+
+// Premium metros skew to injectables; value markets lean on lasers and memberships
+const TIER_MIX_PRIORS = {
+  tier1: { injectables: 0.58, lasers: 0.18, skincare: 0.12, memberships: 0.07, retail: 0.05 },
+  tier2: { injectables: 0.56, lasers: 0.19, skincare: 0.12, memberships: 0.08, retail: 0.05 },
+  tier3: DEFAULT_MIX,
+  tier4: { injectables: 0.52, lasers: 0.21, skincare: 0.13, memberships: 0.09, retail: 0.05 }
+};
+
+// Standard error (share points) each source carries; tighter sources dominate the blend
+const SIGNAL_ERRORS = {
+  prior: 0.06,
+  treatments: 0.03,
+  memberships: 0.02,
+  providers: 0.05,
+  equipment: 0.06
+};
+
+// Annual revenue one full-time provider or device typically supports
+const PROVIDER_PRODUCTIVITY = {
+  injectors: { line: 'injectables', revenue: 600000 },
+  laserTechs: { line: 'lasers', revenue: 300000 },
+  estheticians: { line: 'skincare', revenue: 180000 }
+};
+const PROVIDER_LINES = Object.values(PROVIDER_PRODUCTIVITY).map(spec => spec.line);
+const REVENUE_PER_LASER_DEVICE = 220000;
+
+const RANGE_Z = 1.28; // 80% interval
+
+// signals: { treatments: { injectables, lasers, skincare }, members,
+//            providers: { injectors, laserTechs, estheticians }, laserDevices }
+// options: { revenue, tier, pricing: { injectablesASP, laserASP, skincareASP, membershipFee } }
+function estimateRevenueMix(signals = {}, options = {}) {
+  const prior = TIER_MIX_PRIORS[options.tier] || DEFAULT_MIX;
+  const revenue = options.revenue || 0;
+  const pricing = options.pricing || {};
+
+  // Per line: list of { share, error } estimates, starting from the prior
+  const estimates = {};
+  SERVICE_LINES.forEach(line => {
+    estimates[line] = [{ share: prior[line], error: SIGNAL_ERRORS.prior }];
+  });
+  const used = [];
+  const add = (line, share, source) => {
+    if (!Number.isFinite(share)) return;
+    estimates[line].push({ share: Math.min(0.95, Math.max(0, share)), error: SIGNAL_ERRORS[source] });
+    if (!used.includes(source)) used.push(source);
+  };
+
+  if (revenue > 0) {
+    const treatments = signals.treatments || {};
+    const asp = { injectables: pricing.injectablesASP, lasers: pricing.laserASP, skincare: pricing.skincareASP };
+    Object.entries(asp).forEach(([line, price]) => {
+      if (treatments[line] > 0 && price > 0) add(line, treatments[line] * price / revenue, 'treatments');
+    });
+
+    if (signals.members > 0 && pricing.membershipFee > 0) {
+      add('memberships', signals.members * pricing.membershipFee / revenue, 'memberships');
+    }
+
+    if (signals.laserDevices > 0 && !(treatments.lasers > 0)) {
+      add('lasers', signals.laserDevices * REVENUE_PER_LASER_DEVICE / revenue, 'equipment');
+    }
+  }
+
+  // Provider headcount gives the relative weight of the three treatment lines
+  const providers = signals.providers || {};
+  const capacity = Object.entries(PROVIDER_PRODUCTIVITY)
+    .filter(([role]) => providers[role] > 0)
+    .map(([role, spec]) => ({ line: spec.line, revenue: providers[role] * spec.revenue }));
+  if (capacity.length >= 2) {
+    const treatmentShare = prior.injectables + prior.lasers + prior.skincare;
+    const totalCapacity = capacity.reduce((sum, item) => sum + item.revenue, 0);
+    PROVIDER_LINES.forEach(line => {
+      const item = capacity.find(entry => entry.line === line);
+      add(line, item ? treatmentShare * item.revenue / totalCapacity : 0, 'providers');
+    });
+  }
+
+  // Inverse-variance blend per line, then renormalize to a full split
+  const blended = {};
+  const errors = {};
+  SERVICE_LINES.forEach(line => {
+    const weights = estimates[line].map(estimate => 1 / (estimate.error * estimate.error));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    blended[line] = estimates[line].reduce((sum, estimate, i) => sum + estimate.share * weights[i], 0) / totalWeight;
+    errors[line] = 1 / Math.sqrt(totalWeight);
+  });
+  const total = SERVICE_LINES.reduce((sum, line) => sum + blended[line], 0);
+
+  const shares = {};
+  const ranges = {};
+  SERVICE_LINES.forEach(line => {
+    shares[line] = blended[line] / total;
+    ranges[line] = {
+      low: Math.max(0, shares[line] - RANGE_Z * errors[line]),
+      high: Math.min(1, shares[line] + RANGE_Z * errors[line])
+    };
+  });
+
+  return {
+    shares,
+    ranges,
+    standardErrors: errors,
+    signals: used,
+    prior: TIER_MIX_PRIORS[options.tier] ? options.tier : 'default',
+    method: used.length > 0 ? 'signals' : 'prior'
+  };
+}
+
+// Gross margin of each line from the COGS rates in ModelParams
+function lineMargins(costs) {
+  return {
+    injectables: 1 - costs.cogsInjectables,
+    lasers: 1 - costs.cogsLasers,
+    skincare: 1 - costs.cogsSkincare,
+    memberships: 1,
+    retail: 1 - costs.cogsRetail
+  };
+}
+
+function blendedMargin(shares, margins) {
+  return SERVICE_LINES.reduce((sum, line) => sum + shares[line] * margins[line], 0);
+}
+
+// Least and most profitable splits inside the ranges: fill lines from their lower
+// bound in margin order until the split sums to 100%
+function mixScenarios(estimate, margins) {
+  const build = (order) => {
+    const shares = {};
+    SERVICE_LINES.forEach(line => { shares[line] = estimate.ranges[line].low; });
+    let remaining = 1 - SERVICE_LINES.reduce((sum, line) => sum + shares[line], 0);
+    order.forEach(line => {
+      const room = estimate.ranges[line].high - shares[line];
+      const take = Math.max(0, Math.min(room, remaining));
+      shares[line] += take;
+      remaining -= take;
+    });
+    return shares;
+  };
+
+  const byMargin = [...SERVICE_LINES].sort((a, b) => margins[a] - margins[b]);
+  return {
+    low: build(byMargin),
+    base: estimate.shares,
+    high: build([...byMargin].reverse())
+  };
+}
+
+module.exports = {
+  estimateRevenueMix,
+  mixScenarios,
+  lineMargins,
+  blendedMargin,
+  DEFAULT_MIX,
+  TIER_MIX_PRIORS
+};
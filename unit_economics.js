@@ -0,0 +1,100 @@
+// UNIT ECONOMICS - LTV, CAC PAYBACK AND COHORT CONTRIBUTION
+// Follows one acquisition cohort month by month through the same patient drivers
+// the DCF uses: spend per patient, gross margin by service line, churn and CAC.
+// Spend starts from reported revenue per active patient, as the DCF calibrates to it;
+// the visit / treatment / ASP drivers move it year to year and are shown as a cross-check.
+
+const { lineMargins } = require('./revenue_mix');
+const { SERVICE_LINES, driverRevenue } = require('./dcf_projection');
+
+const DEFAULT_HORIZON_YEARS = 10;
+const MIN_CHURN = 0.05; // Same churn floor as the DCF projection
+
+// options: { horizonYears } - LTV is the discounted contribution over the horizon
+function calculateUnitEconomics(modelParams, options = {}) {
+  const { patients, growth, costs } = modelParams;
+  const horizonYears = options.horizonYears || DEFAULT_HORIZON_YEARS;
+  const wacc = modelParams.discount.wacc;
+  const base = modelParams.baseYearRevenueBreakdown;
+
+  // Base-year spend per active patient by line: reported line revenue over active patients,
+  // so LTV ties to the revenue base the DCF is calibrated to. ASP or visit inputs alone
+  // don't change it - at fixed revenue they only change how many treatments it buys.
+  const margins = lineMargins(costs);
+  const revenueByLine = {};
+  SERVICE_LINES.forEach(line => {
+    revenueByLine[line] = patients.activePatients > 0 ? (base[line] || 0) / patients.activePatients : 0;
+  });
+  const revenuePerPatient = SERVICE_LINES.reduce((sum, line) => sum + revenueByLine[line], 0);
+  const contributionPerPatient = SERVICE_LINES.reduce((sum, line) => sum + revenueByLine[line] * margins[line], 0);
+  
+  // What visits x treatments per visit x ASP (plus membership and retail) imply per patient
+  const implied = driverRevenue(modelParams, 1, patients.visitsPerPatientYr, 1);
+  const driverRevenuePerPatient = SERVICE_LINES.reduce((sum, line) => sum + implied[line], 0);
+
+  // Monthly cohort: churn improves and spend grows (visit frequency, pricing) once a year
+  const cohortCurve = [];
+  let survival = 1;
+  let spendIndex = 1;
+  let churnRate = patients.churnRate;
+  let cumulative = 0;
+  let cumulativePV = 0;
+  let paybackMonths = null;
+
+  for (let year = 1; year <= horizonYears; year++) {
+    if (year > 1) {
+      churnRate = Math.max(MIN_CHURN, churnRate + growth.churnImprovement);
+      spendIndex *= (1 + growth.frequency) * (1 + growth.pricing);
+    }
+    const monthlySurvival = Math.pow(1 - churnRate, 1 / 12);
+    const retainedAtStart = survival;
+    let yearRevenue = 0;
+    let yearContribution = 0;
+
+    for (let month = 1; month <= 12; month++) {
+      const monthIndex = (year - 1) * 12 + month;
+      const contribution = survival * contributionPerPatient * spendIndex / 12;
+      yearRevenue += survival * revenuePerPatient * spendIndex / 12;
+      yearContribution += contribution;
+
+      // Payback on undiscounted gross margin, interpolated within the month (none without a CAC)
+      if (paybackMonths === null && patients.cac > 0 && cumulative + contribution >= patients.cac) {
+        paybackMonths = monthIndex - 1 + (patients.cac - cumulative) / contribution;
+      }
+      cumulative += contribution;
+      cumulativePV += contribution / Math.pow(1 + wacc, monthIndex / 12);
+      survival *= monthlySurvival;
+    }
+
+    cohortCurve.push({
+      year,
+      retainedAtStart,
+      churnRate,
+      revenue: yearRevenue,
+      contribution: yearContribution,
+      cumulativeContribution: cumulative,
+      cumulativeLtv: cumulativePV
+    });
+  }
+
+  return {
+    revenuePerPatient,
+    revenueByLine,
+    driverRevenuePerPatient,
+    grossMargin: revenuePerPatient > 0 ? contributionPerPatient / revenuePerPatient : null,
+    contributionPerPatient,
+    cac: patients.cac,
+    ltv: cumulativePV,
+    ltvToCac: patients.cac > 0 ? cumulativePV / patients.cac : null,
+    paybackMonths,
+    expectedLifetimeYears: patients.churnRate > 0 ? 1 / patients.churnRate : null,
+    horizonYears,
+    discountRate: wacc,
+    cohortCurve
+  };
+}
+
+module.exports = {
+  calculateUnitEconomics,
+  DEFAULT_HORIZON_YEARS
+};